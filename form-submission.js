@@ -0,0 +1,172 @@
+/**
+ * Tania's Makeup Studio - Form Submission
+ * Sends form fields through a chain of adapters: Formspree, a JSON webhook, WhatsApp and email.
+ * Loaded by the page before script.js, and by the tests under Node.
+ */
+
+class SubmissionError extends Error {
+    constructor(message, { retryable = false, status = 0 } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// [name, value] pairs, leaving out anything that isn't text
+function getFormFields(formData) {
+    return Array.from(formData.entries()).filter(([, value]) => typeof value === 'string');
+}
+
+// "extra_services" -> "Extra services"
+function formatFieldName(name) {
+    const label = name.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// Readable summary for the message-based adapters; internal "_" fields are skipped
+function formatFieldsAsText(fields) {
+    return fields
+        .filter(([name, value]) => !name.startsWith('_') && value.trim())
+        .map(([name, value]) => `${formatFieldName(name)}: ${value}`)
+        .join('\n');
+}
+
+// Each adapter turns the form fields into a request; "interactive" ones hand off to another app
+const submissionAdapters = {
+    formspree: {
+        interactive: false,
+        buildRequest(fields, options) {
+            const body = new FormData();
+            fields.forEach(([name, value]) => body.append(name, value));
+
+            return {
+                url: options.endpoint,
+                init: {
+                    method: 'POST',
+                    body,
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                }
+            };
+        }
+    },
+
+    webhook: {
+        interactive: false,
+        buildRequest(fields, options) {
+            return {
+                url: options.endpoint,
+                init: {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        form: options.formId,
+                        subject: options.subject,
+                        submittedAt: new Date().toISOString(),
+                        fields: Object.fromEntries(fields)
+                    }),
+                    headers: {
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json',
+                        ...options.headers
+                    }
+                }
+            };
+        }
+    },
+
+    whatsapp: {
+        interactive: true,
+        buildRequest(fields, options) {
+            const text = `${options.subject}\n\n${formatFieldsAsText(fields)}`;
+            return { url: `https://wa.me/${options.phone}?text=${encodeURIComponent(text)}` };
+        }
+    },
+
+    mailto: {
+        interactive: true,
+        buildRequest(fields, options) {
+            const subject = encodeURIComponent(options.subject);
+            const body = encodeURIComponent(formatFieldsAsText(fields));
+            return { url: `mailto:${options.email}?subject=${subject}&body=${body}` };
+        }
+    }
+};
+
+async function sendWithAdapter(adapter, request) {
+    if (adapter.interactive) {
+        // With "noopener" window.open always returns null, so cut the opener off by hand instead.
+        // Popups opened after an await may be blocked, and only then do we navigate away.
+        const popup = request.url.startsWith('mailto:') ? null : window.open(request.url, '_blank');
+
+        if (popup) {
+            popup.opener = null;
+        } else {
+            window.location.href = request.url;
+        }
+
+        return { ok: true, handoff: true };
+    }
+
+    let response;
+
+    try {
+        response = await fetch(request.url, request.init);
+    } catch (error) {
+        throw new SubmissionError('Network error', { retryable: true });
+    }
+
+    if (!response.ok) {
+        throw new SubmissionError(`Server error (${response.status})`, {
+            retryable: isRetryableStatus(response.status),
+            status: response.status
+        });
+    }
+
+    return { ok: true, handoff: false };
+}
+
+// Sends the fields through the form's adapters, falling back to the next one on failure.
+// A retryable failure (network down, server busy) is left for the offline queue rather than handed
+// to WhatsApp or email; those only take over when the request was rejected outright.
+// configs defaults to the page's FORM_SUBMISSION_CONFIG from script.js; the tests pass their own.
+async function submitFields(formId, fields, { interactive = true, configs = FORM_SUBMISSION_CONFIG } = {}) {
+    const config = configs[formId];
+    let lastError = new SubmissionError(`No submission adapter configured for #${formId}`);
+    let retryableError = null;
+
+    for (const options of config?.adapters || []) {
+        const adapter = submissionAdapters[options.type];
+        if (!adapter || (adapter.interactive && (!interactive || retryableError))) continue;
+
+        try {
+            const request = adapter.buildRequest(fields, { subject: config.subject, ...options, formId });
+            const result = await sendWithAdapter(adapter, request);
+            return { ...result, adapter: options.type };
+        } catch (error) {
+            console.warn(`Submission via ${options.type} failed`, error);
+            lastError = error;
+            if (error.retryable) retryableError ??= error;
+        }
+    }
+
+    throw retryableError || lastError;
+}
+
+// Under Node (the tests) there is no page to share globals with, so export instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SubmissionError,
+        isRetryableStatus,
+        getFormFields,
+        formatFieldsAsText,
+        submissionAdapters,
+        sendWithAdapter,
+        submitFields
+    };
+}
@@ -0,0 +1,126 @@
+/**
+ * Tania's Makeup Studio - Hero Frame Renderer
+ * Draws hero frames onto a canvas. Loaded by the page, and also as a worker that
+ * draws onto an OffscreenCanvas where the browser supports it.
+ */
+
+class FrameCanvasRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.frames = new Map();
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 1;
+        this.geometry = null;
+    }
+
+    // width and height are the CSS size; the buffer is scaled up by the pixel ratio
+    resize(width, height, dpr) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.geometry = null;
+    }
+
+    // Takes an ImageBitmap, or an image/canvas where bitmaps aren't available
+    addFrame(index, source) {
+        const previous = this.frames.get(index);
+        if (previous && previous !== source) previous.close?.();
+
+        this.frames.set(index, source);
+    }
+
+    removeFrame(index) {
+        this.frames.get(index)?.close?.();
+        this.frames.delete(index);
+    }
+
+    // Cover-fit placement only changes on resize or when the frame size changes,
+    // so it's worked out once rather than on every draw
+    getGeometry(source) {
+        const key = `${source.width}x${source.height}`;
+        if (this.geometry?.key === key) return this.geometry;
+
+        // Calculate COVER fit - image always completely fills the viewport
+        // This means the image may be cropped but never shows blank spaces
+        const imgAspect = source.width / source.height;
+        const canvasAspect = this.width / this.height;
+
+        let drawWidth, drawHeight;
+
+        if (canvasAspect > imgAspect) {
+            // Canvas is wider than image aspect ratio
+            // Scale image to fill the width, let height overflow and crop
+            drawWidth = this.width;
+            drawHeight = this.width / imgAspect;
+        } else {
+            // Canvas is taller than image aspect ratio (mobile portrait)
+            // Scale image to fill the height, let width overflow and crop
+            drawHeight = this.height;
+            drawWidth = this.height * imgAspect;
+        }
+
+        // Center the image (this will crop the overflowing part)
+        this.geometry = {
+            key,
+            x: (this.width - drawWidth) / 2,
+            y: (this.height - drawHeight) / 2,
+            width: drawWidth,
+            height: drawHeight
+        };
+
+        return this.geometry;
+    }
+
+    // Draws a frame, optionally blended towards the next one by mix (0-1)
+    draw(index, nextIndex = -1, mix = 0) {
+        const frame = this.frames.get(index);
+
+        // Guard against missing frames and invalid image dimensions
+        if (!frame || !frame.width || !frame.height || !this.width || !this.height) return;
+
+        const { x, y, width, height } = this.getGeometry(frame);
+
+        // Fill with background color as fallback, then draw at DPI scale
+        this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = '#0f0f0f';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.drawImage(frame, x, y, width, height);
+
+        const next = this.frames.get(nextIndex);
+        if (next && mix > 0) {
+            this.ctx.globalAlpha = mix;
+            this.ctx.drawImage(next, x, y, width, height);
+            this.ctx.globalAlpha = 1;
+        }
+    }
+}
+
+// Worker side: the page transfers its canvas once, then sends frames and draw calls
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    let renderer = null;
+
+    self.onmessage = ({ data }) => {
+        switch (data.type) {
+            case 'init':
+                renderer = new FrameCanvasRenderer(data.canvas);
+                break;
+            case 'resize':
+                renderer?.resize(data.width, data.height, data.dpr);
+                break;
+            case 'frame':
+                renderer?.addFrame(data.index, data.bitmap);
+                break;
+            case 'remove':
+                renderer?.removeFrame(data.index);
+                break;
+            case 'draw':
+                renderer?.draw(data.index, data.nextIndex, data.mix);
+                break;
+        }
+    };
+}
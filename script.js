@@ -3,695 +3,5053 @@
  * Handles all interactive functionality including scroll-based frame animation
  */
 
-// ===== SCROLL-BASED FRAME ANIMATION =====
-class ScrollFrameAnimation {
-    constructor() {
-        this.canvas = document.getElementById('hero-canvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.heroContainer = document.getElementById('home');
-        this.contentWrapper = document.getElementById('hero-content-wrapper');
-        this.scrollIndicator = document.getElementById('hero-scroll-indicator');
-        this.progressBar = document.getElementById('progress-bar');
-        this.scrollProgress = document.getElementById('scroll-progress');
+// ===== LANGUAGE =====
+// The visitor's chosen language code, from the header switcher
+const LANGUAGE_KEY = 'tms-language';
+const LANGUAGE_SOURCE = 'data/i18n/{language}.json';
+const DEFAULT_LANGUAGE = 'en';
 
-        this.frameCount = 192;
-        this.images = [];
-        this.loadedCount = 0;
-        this.currentFrame = 0;
-        this.isLoaded = false;
-        this.isAnimationComplete = false;
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN' },
+    bn: { name: 'বাংলা', locale: 'bn-IN' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' }
+};
 
-        // Frame stepping - show 2-3 frames per scroll step
-        this.framesPerStep = 3;
+// English for the text the script writes itself. Page text is marked with data-i18n and falls
+// back to the English already in the markup. Service and finish names stay in English everywhere,
+// since they're what the studio receives in booking requests.
+const I18N_STRINGS = {
+    'motion.reduce': 'Reduce motion',
+    'motion.enable': 'Turn animations on',
+    'timeline.learnMore': 'Learn more',
+    'gallery.all': 'All',
+    'gallery.allFinishes': 'All finishes',
+    'gallery.category': 'Category',
+    'gallery.finish': 'Makeup finish',
+    'gallery.view': 'View {title}',
+    'gallery.look': 'look',
+    'gallery.open': 'View',
+    'compare.before': 'Before',
+    'compare.after': 'After',
+    'compare.beforeAlt': 'Before: {alt}',
+    'compare.afterAlt': 'After: {alt}',
+    'compare.label': 'Before and after: {alt}',
+    'compare.value': '{percent}% before',
+    'lightbox.error': 'This look could not be loaded.',
+    'testimonials.play': 'Play testimonials',
+    'testimonials.pause': 'Pause testimonials',
+    'testimonials.showing': 'Showing testimonial {index} of {total}',
+    'testimonials.showingRange': 'Showing testimonials {from} to {to} of {total}',
+    'testimonials.slide': '{index} of {total}',
+    'testimonials.dot': 'Show testimonials from {index}',
+    'faq.found.one': '{count} question found',
+    'faq.found.other': '{count} questions found',
+    'booking.estimatedTime': 'Estimated time: {duration}',
+    'duration.hours': '{count} hr',
+    'duration.minutes': '{count} min',
+    'studio.hours': '{open} to {close}',
+    'studio.allDays': 'Open All Days',
+    'studio.closedOn': 'Closed on {days}',
+    'status.open': 'Open now',
+    'status.closingSoon': 'Closing soon',
+    'status.closed': 'Closed',
+    'status.closesAt': 'closes at {time}',
+    'status.opensAt': 'opens at {time}',
+    'status.opensTomorrow': 'opens tomorrow at {time}',
+    'status.opensOn': 'opens {day} at {time}',
+    'status.specialHours': 'Special hours today: {reason}',
+    'availability.selectTime': 'Select time',
+    'availability.chooseDate': 'Choose a date first',
+    'availability.closedFor': 'Closed for {name}',
+    'availability.closedDate': 'The studio is closed on this date',
+    'availability.closedWeekday': 'The studio is closed on this day of the week',
+    'availability.fullyBooked': 'This date is fully booked',
+    'availability.pastDate': 'Please choose an upcoming date',
+    'availability.noSlot': 'No start time left on this date for {duration} of services',
+    'availability.next': '{message} - next available: {date}',
+    'quote.empty': 'Choose a service to see an estimate.',
+    'quote.title': 'Estimated Price',
+    'quote.total': 'Total',
+    'quote.note': 'Final price is confirmed after a consultation.',
+    'quote.finish': '{name} finish',
+    'quote.family': 'Family makeup x {count}',
+    'quote.travel': 'Travel ({zone})',
+    'quote.zone.siliguri': 'Within Siliguri',
+    'quote.zone.nearby': 'Up to 40 km',
+    'quote.zone.outstation': 'Outstation',
+    'quote.peak': 'Peak season (+{percent}%)',
+    'validation.choose': 'Please choose an option.',
+    'validation.required': 'Please fill in this field.',
+    'validation.email': 'Please enter a valid email address.',
+    'validation.phone': 'Please enter a valid Indian mobile number, e.g. +91 76020 14901.',
+    'validation.range': 'Please enter a number between {min} and {max}.',
+    'validation.pastDate': 'Please choose a date from today onwards.',
+    'validation.horizon': 'We take bookings up to {days} days ahead.',
+    'validation.hours': 'Please choose a time within opening hours ({open} - {close}).',
+    'form.sending': 'Sending...',
+    'queue.pending.one': '1 request queued - will send when online',
+    'queue.pending.other': '{count} requests queued - will send when online',
+    'toast.messageSent': 'Message sent successfully!',
+    'toast.bookingSent': 'Appointment request sent successfully!',
+    'toast.invalid': 'Please correct the highlighted fields.',
+    'toast.handoff': 'Almost done - please send the prepared message to complete your request.',
+    'toast.offline': 'You seem to be offline. We\'ll send this as soon as you\'re back online.',
+    'toast.error': 'Something went wrong. Please try again.',
+    'toast.slotTaken': 'That slot is no longer available. Please pick another time.',
+    'toast.queueSent': 'Your queued request has been sent!',
+    'toast.queueFailed': 'A queued request could not be delivered. Please contact us directly.',
+    'spam.too-fast': 'Please take a moment to check your details before sending.',
+    'spam.duplicate': 'We already have this request - we\'ll get back to you soon!',
+    'spam.rate-limited': 'You\'ve sent several requests already. Please try again in a few minutes or call us.',
+    'spam.challenge': 'We couldn\'t verify your request. Please try again.',
+    'confirmation.savedTitle': 'Request Saved',
+    'confirmation.receivedTitle': 'Request Received',
+    'confirmation.savedText': 'You\'re offline right now. Your request is saved and will be sent automatically once you\'re back online.',
+    'confirmation.receivedText': 'Thank you! We\'ll call you shortly to confirm your appointment.',
+    'confirmation.reference': 'Reference',
+    'confirmation.services': 'Services',
+    'confirmation.finish': 'Finish',
+    'confirmation.date': 'Date',
+    'confirmation.time': 'Time',
+    'confirmation.duration': 'Duration',
+    'confirmation.estimate': 'Estimate',
+    'confirmation.studio': 'Studio',
+    'confirmation.ics': 'Download .ics',
+    'confirmation.google': 'Add to Google Calendar',
+    'confirmation.back': 'Book another appointment',
+    'draft.prompt': 'You started filling this in {age}. Continue where you left off?',
+    'draft.continue': 'Continue',
+    'draft.discard': 'Start fresh'
+};
 
-        this.init();
+class I18n {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.events = new EventTarget();
+        this.language = DEFAULT_LANGUAGE;
+        this.dictionaries = { [DEFAULT_LANGUAGE]: {} };
+        // Original English of translated elements, to fall back on
+        this.defaults = new WeakMap();
+        this.switcher = document.getElementById('language-switcher');
+
+        this.ready = this.init();
     }
 
-    getFramePath(index) {
-        const frameNum = String(index + 1).padStart(3, '0');
-        return `hero_images/ezgif-frame-${frameNum}.jpg`;
+    async init() {
+        this.switcher?.addEventListener('change', () => this.setLanguage(this.switcher.value));
+
+        await this.setLanguage(this.getPreferredLanguage(), { persist: false });
     }
 
-    init() {
-        this.setupCanvas();
-        this.preloadImages();
-        this.bindEvents();
+    // A saved choice wins, then the browser's languages, then English
+    getPreferredLanguage() {
+        let saved = null;
+
+        try {
+            saved = this.storage?.getItem(LANGUAGE_KEY);
+        } catch (error) {
+            saved = null;
+        }
+
+        if (LANGUAGES[saved]) return saved;
+
+        return (navigator.languages || [navigator.language])
+            .map(tag => String(tag).split('-')[0].toLowerCase())
+            .find(code => LANGUAGES[code]) || DEFAULT_LANGUAGE;
     }
 
-    setupCanvas() {
-        const resize = () => {
-            // Get the actual CSS-rendered size of the canvas
-            const displayWidth = this.canvas.clientWidth || window.innerWidth;
-            const displayHeight = this.canvas.clientHeight || window.innerHeight;
+    get locale() {
+        return LANGUAGES[this.language].locale;
+    }
 
-            // Use device pixel ratio for crisp rendering
-            const dpr = window.devicePixelRatio || 1;
+    async loadDictionary(language) {
+        if (this.dictionaries[language]) return this.dictionaries[language];
 
-            // Set canvas internal buffer size for high DPI
-            // This is the actual pixel resolution of the canvas
-            this.canvas.width = displayWidth * dpr;
-            this.canvas.height = displayHeight * dpr;
+        const response = await fetch(LANGUAGE_SOURCE.replace('{language}', language), {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
 
-            // Store display dimensions for drawing (the CSS size, not buffer size)
-            this.displayWidth = displayWidth;
-            this.displayHeight = displayHeight;
-            this.dpr = dpr;
+        if (!response.ok) throw new Error(`Translations request failed (${response.status})`);
+
+        this.dictionaries[language] = await response.json();
+        return this.dictionaries[language];
+    }
 
-            if (this.isLoaded && this.images[this.currentFrame]) {
-                this.drawFrame(this.currentFrame);
+    async setLanguage(language, { persist = true } = {}) {
+        if (!LANGUAGES[language]) language = DEFAULT_LANGUAGE;
+
+        try {
+            await this.loadDictionary(language);
+        } catch (error) {
+            console.warn(`Could not load ${LANGUAGES[language].name} translations, staying in English`, error);
+            language = DEFAULT_LANGUAGE;
+        }
+
+        if (persist) {
+            try {
+                this.storage?.setItem(LANGUAGE_KEY, language);
+            } catch (error) {
+                console.warn('Could not save language choice', error);
             }
-        };
+        }
 
-        resize();
-        window.addEventListener('resize', resize);
-        // Handle orientation change on mobile
-        window.addEventListener('orientationchange', () => {
-            setTimeout(resize, 100);
+        const changed = language !== this.language;
+        this.language = language;
+        document.documentElement.lang = language;
+        if (this.switcher) this.switcher.value = language;
+
+        this.translatePage();
+
+        if (changed) {
+            this.events.dispatchEvent(new CustomEvent('change', { detail: { language, locale: this.locale } }));
+        }
+    }
+
+    // The translation, or undefined when neither this language nor the English strings have one.
+    // Pass DEFAULT_LANGUAGE for text the studio receives, which stays in English.
+    find(key, language = this.language) {
+        return this.dictionaries[language]?.[key] ?? I18N_STRINGS[key];
+    }
+
+    // 'validation.range', { min: 0, max: 15 } -> "Please enter a number between 0 and 15."
+    t(key, params = {}, language = this.language) {
+        return String(this.find(key, language) ?? key).replace(/\{(\w+)\}/g, (match, name) =>
+            name in params ? params[name] : match);
+    }
+
+    // data-i18n sets the text (or the markup, with data-i18n-html); data-i18n-attr takes
+    // "attribute:key" pairs, e.g. data-i18n-attr="placeholder:faq.search,aria-label:faq.search"
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(element => {
+            if (!this.defaults.has(element)) {
+                this.defaults.set(element, {
+                    html: element.innerHTML,
+                    attributes: Object.fromEntries(this.getAttributeKeys(element)
+                        .map(([attribute]) => [attribute, element.getAttribute(attribute)]))
+                });
+            }
+
+            const defaults = this.defaults.get(element);
+
+            if (element.dataset.i18n) {
+                const text = this.find(element.dataset.i18n);
+
+                if (text === undefined) {
+                    element.innerHTML = defaults.html;
+                } else if ('i18nHtml' in element.dataset) {
+                    element.innerHTML = text;
+                } else {
+                    element.textContent = text;
+                }
+            }
+
+            this.getAttributeKeys(element).forEach(([attribute, key]) => {
+                element.setAttribute(attribute, this.find(key) ?? defaults.attributes[attribute]);
+            });
         });
     }
 
-    preloadImages() {
-        const preloader = document.getElementById('preloader');
-
-        // Load first frame immediately
-        const firstImage = new Image();
-        firstImage.src = this.getFramePath(0);
-        firstImage.onload = () => {
-            this.images[0] = firstImage;
-            this.drawFrame(0);
-        };
+    getAttributeKeys(element) {
+        return (element.dataset.i18nAttr || '').split(',')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => attribute && key);
+    }
 
-        // Load rest of images
-        for (let i = 0; i < this.frameCount; i++) {
-            const img = new Image();
-            img.src = this.getFramePath(i);
+    // Date -> "Saturday, 21 November 2026" in the current language
+    formatDate(date, options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+
+    // "2:00 PM" -> the same time in the current language's clock format
+    formatTime(label) {
+        const minutes = parseTimeLabel(label);
+        if (Number.isNaN(minutes)) return label;
+
+        return new Intl.DateTimeFormat(this.locale, { hour: 'numeric', minute: '2-digit' })
+            .format(new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60));
+    }
+
+    // Called with { language, locale } after the page has been translated
+    onChange(callback) {
+        this.events.addEventListener('change', (e) => callback(e.detail));
+    }
+}
+
+const i18n = new I18n();
+
+// ===== STUDIO DETAILS =====
+// The one place the studio's contact details and regular hours live. The page, the booking
+// slots, the form hand-offs and the structured data all read from here.
+const STUDIO = {
+    name: 'Tania\'s Makeup Studio',
+    phone: '+917602014901',
+    phoneDisplay: '+91 76020 14901',
+    whatsapp: '917602014901',
+    email: 'nawabnfs1@gmail.com',
+    // Lines as shown on the page; the last part is the town
+    address: ['4th Floor, EMPEES Building', 'Bidhan Road, Siliguri'],
+    region: 'West Bengal',
+    country: 'IN',
+    geo: { latitude: 26.71004, longitude: 88.42755 },
+    timeZone: 'Asia/Kolkata',
+    // India has no daylight saving, so the offset never changes
+    utcOffsetMinutes: 330,
+    hours: { open: '11:00 AM', close: '8:00 PM' },
+    // 0 = Sunday; holidays and one-off closures come from the availability data
+    closedWeekdays: [],
+    // Booking start times are offered on this grid
+    slotInterval: 30
+};
+
+// Today's date key and the minutes since midnight at the studio, whatever the visitor's time zone
+function getStudioClock(now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: STUDIO.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function formatStudioHours(hours = STUDIO.hours) {
+    return i18n.t('studio.hours', { open: i18n.formatTime(hours.open), close: i18n.formatTime(hours.close) });
+}
+
+function formatStudioDays() {
+    if (!STUDIO.closedWeekdays.length) return i18n.t('studio.allDays');
+
+    // 2024-01-07 was a Sunday, so day n of that week is weekday n
+    const days = STUDIO.closedWeekdays
+        .map(weekday => i18n.formatDate(new Date(2024, 0, 7 + weekday), { weekday: 'long' }));
+    return i18n.t('studio.closedOn', { days: days.join(', ') });
+}
+
+// Fills every [data-studio] element. Links get their href; elements without child elements also
+// get the text, so a link wrapping an icon and a <span data-studio> keeps its icon.
+const STUDIO_FIELDS = {
+    phone: { href: () => `tel:${STUDIO.phone}`, text: () => STUDIO.phoneDisplay },
+    email: { href: () => `mailto:${STUDIO.email}`, text: () => STUDIO.email },
+    whatsapp: { href: () => `https://wa.me/${STUDIO.whatsapp}` },
+    address: { html: () => STUDIO.address.map(escapeHtml).join('<br>') },
+    hours: { text: () => formatStudioHours() },
+    days: { text: () => formatStudioDays() }
+};
 
-            img.onload = () => {
-                this.images[i] = img;
-                this.loadedCount++;
+function renderStudioDetails(root = document) {
+    root.querySelectorAll('[data-studio]').forEach(element => {
+        const field = STUDIO_FIELDS[element.dataset.studio];
+        if (!field) return;
 
-                // Update preloader if visible
-                const percent = Math.round((this.loadedCount / this.frameCount) * 100);
+        if (field.href && element.tagName === 'A') element.href = field.href();
+        if (element.children.length && !field.html) return;
 
-                if (this.loadedCount === this.frameCount) {
-                    this.isLoaded = true;
-                    this.drawFrame(0);
+        if (field.html) element.innerHTML = field.html();
+        else if (field.text) element.textContent = field.text();
+    });
+}
+
+renderStudioDetails();
+i18n.onChange(() => renderStudioDetails());
+
+// ===== ANALYTICS =====
+// 'granted' or 'denied' once the visitor has answered the banner
+const ANALYTICS_CONSENT_KEY = 'tms-analytics-consent';
+
+// Events are batched and handed to the sinks this long after the last one
+const ANALYTICS_FLUSH_MS = 2000;
+
+// Events from before the visitor answers are held in memory, up to this many, and only go to the
+// sinks if they accept; declining drops them
+const ANALYTICS_PENDING_LIMIT = 50;
+
+// Sinks are given every batch in order. Add ?debug=analytics to the URL to log events to the console.
+const ANALYTICS_CONFIG = {
+    sinks: [
+        { type: 'console', enabled: new URLSearchParams(location.search).get('debug') === 'analytics' },
+        { type: 'storage', key: 'tms-analytics-events', limit: 200 },
+        // Point this at a collector that accepts { events: [...] } as JSON
+        { type: 'http', endpoint: '', enabled: false }
+    ]
+};
+
+// Each sink takes a batch of events; clear() removes anything it keeps when consent is withdrawn
+const analyticsSinks = {
+    console: {
+        send(events) {
+            events.forEach(event => console.info(`[analytics] ${event.name}`, event.data));
+        }
+    },
+
+    // The latest events on this device, for checking the funnel without a backend
+    storage: {
+        send(events, options) {
+            let stored = [];
+
+            try {
+                stored = JSON.parse(localStorage.getItem(options.key)) || [];
+            } catch (error) {
+                stored = [];
+            }
+
+            localStorage.setItem(options.key, JSON.stringify(stored.concat(events).slice(-options.limit)));
+        },
+
+        clear(options) {
+            localStorage.removeItem(options.key);
+        }
+    },
 
-                    // Hide preloader
-                    setTimeout(() => {
-                        if (preloader) {
-                            preloader.classList.add('hidden');
-                        }
-                    }, 500);
+    // sendBeacon still delivers while the page is being closed; fetch is the fallback
+    http: {
+        send(events, options) {
+            const body = JSON.stringify({ events });
+            const blob = new Blob([body], { type: 'application/json' });
+            if (navigator.sendBeacon?.(options.endpoint, blob)) return;
+
+            fetch(options.endpoint, {
+                method: 'POST',
+                body,
+                keepalive: true,
+                headers: {
+                    'Content-Type': 'application/json'
                 }
-            };
+            }).catch(error => console.warn('Could not send analytics events', error));
+        }
+    }
+};
 
-            img.onerror = () => {
-                console.warn(`Failed to load frame ${i + 1}`);
-                this.loadedCount++;
-            };
+class Analytics {
+    constructor(config = ANALYTICS_CONFIG, storage = window.localStorage) {
+        this.storage = storage;
+        this.sinks = config.sinks.filter(sink => sink.enabled !== false && analyticsSinks[sink.type]);
+        this.pending = [];
+        this.outbox = [];
+        this.timer = null;
+        this.leaving = false;
+        this.consent = this.loadConsent();
+
+        this.init();
+    }
+
+    init() {
+        // Hand over what's waiting before the page goes, and send anything tracked while it goes
+        window.addEventListener('pagehide', () => {
+            this.leaving = true;
+            this.flush();
+        });
+        // Back from the back/forward cache: events can wait to be batched again
+        window.addEventListener('pageshow', () => {
+            this.leaving = false;
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+    }
+
+    loadConsent() {
+        try {
+            const saved = this.storage?.getItem(ANALYTICS_CONSENT_KEY);
+            return saved === 'granted' || saved === 'denied' ? saved : null;
+        } catch (error) {
+            return null;
         }
     }
 
-    drawFrame(frameIndex) {
-        if (!this.images[frameIndex] || !this.ctx) return;
+    hasConsent() {
+        return this.consent === 'granted';
+    }
+
+    setConsent(granted) {
+        const previous = this.consent;
+        this.consent = granted ? 'granted' : 'denied';
 
-        const img = this.images[frameIndex];
-        const dpr = this.dpr || window.devicePixelRatio || 1;
-        const canvasWidth = this.displayWidth || window.innerWidth;
-        const canvasHeight = this.displayHeight || window.innerHeight;
+        try {
+            this.storage?.setItem(ANALYTICS_CONSENT_KEY, this.consent);
+        } catch (error) {
+            console.warn('Could not save analytics consent', error);
+        }
 
-        // Reset transform before clearing
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        if (granted) {
+            this.outbox.push(...this.pending);
+            this.scheduleFlush();
+        } else {
+            this.outbox = [];
+            if (previous === 'granted') this.clearSinks();
+        }
 
-        // Clear the entire canvas buffer (use actual canvas size, not display size)
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.pending = [];
+    }
 
-        // Fill with background color as fallback
-        this.ctx.fillStyle = '#0f0f0f';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // Names are snake_case; data holds ids and counts only, never what the visitor typed
+    track(name, data = {}) {
+        if (this.consent === 'denied') return;
 
-        // Apply DPI scaling for drawing
-        this.ctx.scale(dpr, dpr);
+        const event = {
+            name,
+            data,
+            time: new Date().toISOString(),
+            page: location.pathname,
+            language: i18n.language
+        };
 
-        // Guard against invalid image dimensions
-        if (!img.width || !img.height) {
+        if (!this.hasConsent()) {
+            this.pending = this.pending.concat(event).slice(-ANALYTICS_PENDING_LIMIT);
             return;
         }
 
-        // Calculate COVER fit - image always completely fills the viewport
-        // This means the image may be cropped but never shows blank spaces
-        const imgAspect = img.width / img.height;
-        const canvasAspect = canvasWidth / canvasHeight;
+        this.outbox.push(event);
+        this.scheduleFlush();
+    }
 
-        let drawWidth, drawHeight, offsetX, offsetY;
+    scheduleFlush() {
+        clearTimeout(this.timer);
 
-        if (canvasAspect > imgAspect) {
-            // Canvas is wider than image aspect ratio
-            // Scale image to fill the width, let height overflow and crop
-            drawWidth = canvasWidth;
-            drawHeight = canvasWidth / imgAspect;
+        if (this.leaving) {
+            this.flush();
         } else {
-            // Canvas is taller than image aspect ratio (mobile portrait)
-            // Scale image to fill the height, let width overflow and crop
-            drawHeight = canvasHeight;
-            drawWidth = canvasHeight * imgAspect;
+            this.timer = setTimeout(() => this.flush(), ANALYTICS_FLUSH_MS);
         }
+    }
 
-        // Center the image (this will crop the overflowing part)
-        offsetX = (canvasWidth - drawWidth) / 2;
-        offsetY = (canvasHeight - drawHeight) / 2;
+    flush() {
+        clearTimeout(this.timer);
+        if (!this.hasConsent() || !this.outbox.length) return;
 
-        // Draw the image to completely cover the canvas
-        this.ctx.drawImage(img, offsetX, offsetY, drawWidth, drawHeight);
-    }
+        const events = this.outbox;
+        this.outbox = [];
 
-    bindEvents() {
-        let ticking = false;
+        // One sink failing shouldn't stop the others
+        this.sinks.forEach(sink => {
+            try {
+                analyticsSinks[sink.type].send(events, sink);
+            } catch (error) {
+                console.warn(`Could not send analytics events to ${sink.type}`, error);
+            }
+        });
+    }
 
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(() => {
-                    this.handleScroll();
-                    ticking = false;
-                });
-                ticking = true;
+    clearSinks() {
+        this.sinks.forEach(sink => {
+            try {
+                analyticsSinks[sink.type].clear?.(sink);
+            } catch (error) {
+                console.warn(`Could not clear analytics events from ${sink.type}`, error);
             }
         });
     }
+}
 
-    handleScroll() {
-        if (!this.isLoaded) return;
+const analytics = new Analytics();
 
-        const heroRect = this.heroContainer.getBoundingClientRect();
-        const heroHeight = this.heroContainer.offsetHeight;
-        const viewportHeight = window.innerHeight;
+// Asks once, and again whenever the footer's privacy button is used
+class ConsentBanner {
+    constructor(banner, analytics) {
+        this.banner = banner;
+        this.analytics = analytics;
+        this.acceptBtn = banner?.querySelector('#consent-accept');
+        this.declineBtn = banner?.querySelector('#consent-decline');
+        this.settingsBtn = document.getElementById('consent-settings');
+        this.previousFocus = null;
 
-        // Calculate scroll progress within hero section (0 to 1)
-        // The animation should complete when we've scrolled through the hero section
-        const scrolled = -heroRect.top;
-        const maxScroll = heroHeight - viewportHeight;
-        const progress = Math.min(Math.max(scrolled / maxScroll, 0), 1);
+        if (this.banner) this.init();
+    }
 
-        // Calculate current frame based on progress
-        // Show 2-3 frames per scroll increment
-        const targetFrame = Math.floor(progress * (this.frameCount - 1));
+    init() {
+        this.acceptBtn?.addEventListener('click', () => this.answer(true));
+        this.declineBtn?.addEventListener('click', () => this.answer(false));
+        this.settingsBtn?.addEventListener('click', () => this.show());
 
-        // Clamp frame to valid range
-        const newFrame = Math.min(Math.max(targetFrame, 0), this.frameCount - 1);
+        if (!this.analytics.consent) this.show({ focus: false });
+    }
 
-        if (newFrame !== this.currentFrame && this.images[newFrame]) {
-            this.currentFrame = newFrame;
-            this.drawFrame(newFrame);
+    show({ focus = true } = {}) {
+        this.banner.hidden = false;
+
+        // Reopened from the footer: move focus in so keyboard users land on the choices
+        if (focus) {
+            this.previousFocus = document.activeElement;
+            (this.analytics.hasConsent() ? this.declineBtn : this.acceptBtn)?.focus();
         }
+    }
 
-        // Update progress bar
-        if (this.progressBar) {
-            this.progressBar.style.width = `${progress * 100}%`;
+    answer(granted) {
+        this.analytics.setConsent(granted);
+        this.banner.hidden = true;
+
+        this.previousFocus?.focus();
+        this.previousFocus = null;
+    }
+}
+
+new ConsentBanner(document.getElementById('consent-banner'), analytics);
+
+// ===== MOTION PREFERENCES =====
+// The visitor's own choice from the header toggle: 'reduced' or 'full'. Unset means follow the device.
+const MOTION_PREFERENCE_KEY = 'tms-motion';
+
+class MotionPreferences {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.events = new EventTarget();
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.reducedDataQuery = window.matchMedia('(prefers-reduced-data: reduce)');
+        this.toggle = document.getElementById('motion-toggle');
+
+        this.init();
+    }
+
+    init() {
+        this.apply();
+
+        // Follow OS-level changes while the page is open
+        [this.reducedMotionQuery, this.reducedDataQuery].forEach(query => {
+            query.addEventListener?.('change', () => this.apply());
+        });
+
+        this.toggle?.addEventListener('click', () => {
+            this.set(this.isReduced() ? 'full' : 'reduced');
+        });
+
+        i18n.onChange(() => this.apply());
+    }
+
+    getStoredChoice() {
+        try {
+            return this.storage?.getItem(MOTION_PREFERENCE_KEY);
+        } catch (error) {
+            return null;
         }
+    }
 
-        // Show/hide progress bar
-        if (this.scrollProgress) {
-            if (progress > 0 && progress < 1) {
-                this.scrollProgress.classList.add('visible');
-            } else {
-                this.scrollProgress.classList.remove('visible');
-            }
+    // Why motion is reduced: 'user', 'reduced-motion' or 'data-saver' - null when it isn't
+    getReason() {
+        const choice = this.getStoredChoice();
+        if (choice === 'reduced') return 'user';
+        if (choice === 'full') return null;
+
+        if (this.reducedMotionQuery.matches) return 'reduced-motion';
+        if (navigator.connection?.saveData || this.reducedDataQuery.matches) return 'data-saver';
+
+        return null;
+    }
+
+    isReduced() {
+        return this.getReason() !== null;
+    }
+
+    getScrollBehavior() {
+        return this.isReduced() ? 'auto' : 'smooth';
+    }
+
+    set(mode) {
+        try {
+            this.storage?.setItem(MOTION_PREFERENCE_KEY, mode);
+        } catch (error) {
+            console.warn('Could not save motion preference', error);
         }
 
-        // Fade out content and scroll indicator as user starts scrolling
-        if (progress > 0.05) {
-            this.contentWrapper?.classList.add('fade-out');
-            this.scrollIndicator?.classList.add('hidden');
-        } else {
-            this.contentWrapper?.classList.remove('fade-out');
-            this.scrollIndicator?.classList.remove('hidden');
-        }
-
-        // Handle fixed positioning of overlay
-        const heroOverlay = document.querySelector('.hero-overlay');
-        if (heroOverlay) {
-            if (progress >= 1) {
-                // Animation complete - transition to static
-                this.isAnimationComplete = true;
-                heroOverlay.style.position = 'absolute';
-                heroOverlay.style.top = `${heroHeight - viewportHeight}px`;
-            } else {
-                this.isAnimationComplete = false;
-                heroOverlay.style.position = 'fixed';
-                heroOverlay.style.top = '0';
-            }
+        this.apply();
+    }
+
+    apply() {
+        const reduced = this.isReduced();
+        const changed = reduced !== this.reduced;
+        this.reduced = reduced;
+
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+
+        if (this.toggle) {
+            this.toggle.setAttribute('aria-pressed', String(reduced));
+            this.toggle.title = i18n.t(reduced ? 'motion.enable' : 'motion.reduce');
         }
 
-        // Handle fixed elements when animation completes
-        if (this.contentWrapper) {
-            if (progress >= 1) {
-                this.contentWrapper.style.position = 'absolute';
-                this.contentWrapper.style.top = `${heroHeight - viewportHeight}px`;
-            } else {
-                this.contentWrapper.style.position = 'fixed';
-                this.contentWrapper.style.top = '0';
-            }
+        if (changed) {
+            this.events.dispatchEvent(new CustomEvent('change', { detail: { reduced, reason: this.getReason() } }));
         }
     }
+
+    // Called with { reduced, reason } whenever the effective preference flips
+    onChange(callback) {
+        this.events.addEventListener('change', (e) => callback(e.detail));
+    }
 }
 
-// Initialize scroll frame animation
-document.addEventListener('DOMContentLoaded', () => {
-    new ScrollFrameAnimation();
-});
+const motionPreferences = new MotionPreferences();
 
-// ===== DOM ELEMENTS =====
-const elements = {
-    preloader: document.getElementById('preloader'),
-    header: document.getElementById('header'),
-    navMenu: document.getElementById('nav-menu'),
-    navToggle: document.getElementById('nav-toggle'),
-    navClose: document.getElementById('nav-close'),
-    navLinks: document.querySelectorAll('.nav-link'),
-    lightbox: document.getElementById('lightbox'),
-    lightboxImg: document.getElementById('lightbox-img'),
-    backToTop: document.getElementById('back-to-top'),
-    toast: document.getElementById('toast'),
-    testimonialsTrack: document.getElementById('testimonials-track'),
-    bookingForm: document.getElementById('booking-form'),
-    contactForm: document.getElementById('contact-form')
+// ===== SCROLL-BASED FRAME ANIMATION =====
+// How hero frames are fetched: a few at a time, with retries for frames that fail
+const FRAME_LOADING = {
+    concurrency: 6,
+    retries: 2,
+    retryDelay: 1500,
+    // Spacing of the first pass of keyframes, before the gaps are filled in
+    keyframeStep: 16
 };
 
-// ===== HEADER SCROLL EFFECT =====
-let lastScroll = 0;
+// Load every Nth frame only, on slow connections or low-memory devices
+function getFrameStride() {
+    const connection = navigator.connection || {};
+    const slowConnection = ['slow-2g', '2g', '3g'].includes(connection.effectiveType);
 
-window.addEventListener('scroll', () => {
-    const currentScroll = window.pageYOffset;
+    if (connection.saveData || connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') return 4;
+    if (slowConnection || (navigator.deviceMemory && navigator.deviceMemory <= 2)) return 2;
 
-    // Add/remove scrolled class
-    if (currentScroll > 50) {
-        elements.header.classList.add('scrolled');
-    } else {
-        elements.header.classList.remove('scrolled');
-    }
+    return 1;
+}
 
-    // Update active nav link based on section
-    updateActiveNavLink();
+// Keyframes first, then each gap is halved: 0, 16, 32 ... 8, 24 ... 4, 12 ...
+function getFramePriorityOrder(frames, step = FRAME_LOADING.keyframeStep) {
+    const order = [];
+    const seen = new Set();
 
-    // Show/hide back to top button
-    if (currentScroll > 500) {
-        elements.backToTop.classList.add('visible');
-    } else {
-        elements.backToTop.classList.remove('visible');
+    const add = (position) => {
+        if (position < frames.length && !seen.has(position)) {
+            seen.add(position);
+            order.push(frames[position]);
+        }
+    };
+
+    for (let size = step; size >= 1; size = Math.floor(size / 2)) {
+        for (let position = 0; position < frames.length; position += size) add(position);
+
+        // The final frame is where the animation rests, so it belongs to the first pass
+        add(frames.length - 1);
+
+        if (size === 1) break;
+    }
+
+    return order;
+}
+
+class FrameLoader {
+    constructor({ frames, getPath, onLoad, onFail, concurrency = FRAME_LOADING.concurrency,
+        retries = FRAME_LOADING.retries, retryDelay = FRAME_LOADING.retryDelay }) {
+        this.queue = getFramePriorityOrder(frames);
+        this.getPath = getPath;
+        this.onLoad = onLoad;
+        this.onFail = onFail;
+        this.concurrency = concurrency;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.active = 0;
+        this.attempts = new Map();
+        this.cancelled = false;
+    }
+
+    start() {
+        this.pump();
+    }
+
+    // Stops queuing new requests and ignores the ones still in flight
+    cancel() {
+        this.cancelled = true;
+        this.queue = [];
+    }
+
+    // Moves frames near the given one to the front of the queue
+    prioritize(index, radius = 4) {
+        const nearby = this.queue.filter(frame => Math.abs(frame - index) <= radius);
+        if (!nearby.length) return;
+
+        nearby.sort((a, b) => Math.abs(a - index) - Math.abs(b - index));
+        this.queue = [...nearby, ...this.queue.filter(frame => !nearby.includes(frame))];
+    }
+
+    pump() {
+        while (this.active < this.concurrency && this.queue.length) {
+            this.load(this.queue.shift());
+        }
+    }
+
+    load(index) {
+        const img = new Image();
+        img.decoding = 'async';
+        this.active++;
+
+        img.onload = () => {
+            this.active--;
+            if (this.cancelled) return;
+            this.onLoad(index, img);
+            this.pump();
+        };
+
+        img.onerror = () => {
+            this.active--;
+            if (this.cancelled) return;
+            const attempt = (this.attempts.get(index) || 0) + 1;
+            this.attempts.set(index, attempt);
+
+            if (attempt <= this.retries) {
+                // Try again later, after the frames already waiting
+                setTimeout(() => {
+                    if (this.cancelled) return;
+                    this.queue.push(index);
+                    this.pump();
+                }, this.retryDelay * attempt);
+            } else {
+                this.onFail(index);
+            }
+
+            this.pump();
+        };
+
+        img.src = this.getPath(index);
+    }
+}
+
+// Describes the frame sequence and the resolutions/formats it is available in
+const HERO_MANIFEST_URL = 'hero_images/manifest.json';
+
+// Used when the manifest can't be fetched - matches the frames shipped with the site
+const HERO_MANIFEST_FALLBACK = {
+    frameCount: 192,
+    width: 1920,
+    height: 1080,
+    frameStart: 1,
+    framePad: 3,
+    variants: [
+        { width: 1920, height: 1080, format: 'jpeg', path: 'hero_images/ezgif-frame-{frame}.jpg' }
+    ]
+};
+
+// Preferred first when a variant exists in several formats at the same size
+const IMAGE_FORMAT_PREFERENCE = ['avif', 'webp', 'jpeg'];
+
+// 1x1 images used to check which formats the browser can decode
+const IMAGE_FORMAT_PROBES = {
+    avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+    webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+
+let imageFormatsPromise = null;
+
+// Resolves to the set of image formats this browser can decode
+function detectImageFormats() {
+    if (!imageFormatsPromise) {
+        const probes = Object.entries(IMAGE_FORMAT_PROBES).map(([format, src]) => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve(img.width > 0 ? format : null);
+            img.onerror = () => resolve(null);
+            img.src = src;
+        }));
+
+        imageFormatsPromise = Promise.all(probes)
+            .then(formats => new Set(['jpeg', ...formats.filter(Boolean)]));
+    }
+
+    return imageFormatsPromise;
+}
+
+async function loadHeroManifest(url = HERO_MANIFEST_URL) {
+    try {
+        const response = await fetch(url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) throw new Error(`Manifest request failed (${response.status})`);
+
+        const manifest = await response.json();
+        if (!manifest.frameCount || !manifest.variants?.length) throw new Error('Manifest has no frames');
+
+        return { ...HERO_MANIFEST_FALLBACK, ...manifest };
+    } catch (error) {
+        console.warn('Could not load hero manifest, using built-in frames', error);
+        return HERO_MANIFEST_FALLBACK;
+    }
+}
+
+// Smallest supported variant that still covers the canvas at its pixel size, else the largest one
+function selectFrameVariant(manifest, { width, height }, formats) {
+    const aspect = manifest.width / manifest.height;
+    // With cover-fit the frame must be at least this wide to fill the canvas
+    const requiredWidth = Math.max(width, height * aspect);
+
+    const supported = manifest.variants
+        .filter(variant => formats.has(variant.format))
+        .sort((a, b) => a.width - b.width ||
+            IMAGE_FORMAT_PREFERENCE.indexOf(a.format) - IMAGE_FORMAT_PREFERENCE.indexOf(b.format));
+
+    if (!supported.length) return manifest.variants[0];
+
+    const largestWidth = supported[supported.length - 1].width;
+
+    return supported.find(variant => variant.width >= requiredWidth) ||
+        supported.find(variant => variant.width === largestWidth);
+}
+
+// When the preloader gives way: after this share of frames, or after the timeout regardless
+const HERO_PRELOAD = {
+    revealThreshold: 0.25,
+    timeout: 8000
+};
+
+// Memory the decoded frames may hold at once: 32 MB per GB the device reports, kept between
+// 64 and 256 MB, and 128 MB where the browser doesn't say
+function getBitmapBudget() {
+    const megabytes = navigator.deviceMemory ? navigator.deviceMemory * 32 : 128;
+    return Math.min(Math.max(megabytes, 64), 256) * 1024 * 1024;
+}
+
+// How frames are drawn: eased towards the scroll position and cross-faded in between
+const HERO_RENDERING = {
+    // Share of the remaining distance covered each animation frame
+    easing: 0.25,
+    crossFade: true,
+    worker: 'hero-renderer.js',
+    // Frames past the budget stay as loaded images and are decoded when the scroll nears them
+    bitmapBudget: getBitmapBudget(),
+    // Kept decoded whatever the budget, so there's always something either side to blend
+    minDecodedFrames: 8
+};
+
+// Static hero, used when motion is reduced: a single poster frame instead of scroll scrubbing.
+// Data savers can instead get one short play through the keyframes.
+const HERO_STATIC = {
+    staticAutoplay: false,
+    autoplayDuration: 2500
+};
+
+// What appears over the hero, by frame range (inclusive). Entries either point at an existing
+// element (with the class that hides it), or describe a caption, callout or cta to render.
+// enter/exit pick the transition: fade, fade-up, slide-left, slide-right or zoom.
+const HERO_TIMELINE = [
+    { id: 'intro', element: 'hero-content-wrapper', frames: [0, 9], hiddenClass: 'fade-out' },
+    { id: 'scroll-hint', element: 'hero-scroll-indicator', frames: [0, 9], hiddenClass: 'hidden' },
+    {
+        id: 'finish',
+        type: 'caption',
+        frames: [24, 64],
+        enter: 'fade-up',
+        exit: 'fade-up',
+        title: 'Flawless, Camera-ready Skin',
+        text: 'HD, Ultra HD and airbrush finishes that last from the pheras to the final dance.'
+    },
+    {
+        id: 'bridal',
+        type: 'callout',
+        frames: [76, 118],
+        enter: 'slide-left',
+        exit: 'fade',
+        position: 'left',
+        title: 'Bridal Makeup',
+        text: 'Complete bridal look with hair styling, saree draping and jewellery setting.',
+        href: '#booking?service=Bridal%20Makeup',
+        label: 'Book bridal makeup'
+    },
+    {
+        id: 'reception',
+        type: 'callout',
+        frames: [128, 164],
+        enter: 'slide-right',
+        exit: 'fade',
+        position: 'right',
+        title: 'Reception & Party',
+        text: 'Glamorous evening looks that shine under the lights.',
+        href: '#booking?service=Reception%20Makeup',
+        label: 'Book reception makeup'
+    },
+    {
+        id: 'book',
+        type: 'cta',
+        frames: [174, 191],
+        enter: 'zoom',
+        exit: 'fade',
+        title: 'Your Day, Your Look',
+        href: '#booking',
+        label: 'Book Appointment'
+    }
+];
+
+// Shows and hides timeline entries as the hero frame changes
+class HeroTimeline {
+    constructor(container, entries = HERO_TIMELINE) {
+        this.container = container;
+        this.entries = [];
+        this.events = new EventTarget();
+        this.frame = null;
+
+        entries.forEach(entry => this.add(entry));
+
+        i18n.onChange(() => this.translate());
+    }
+
+    add(entry) {
+        const element = entry.element ? document.getElementById(entry.element) : this.render(entry);
+        if (!element) return;
+
+        this.entries.push({ ...entry, el: element, state: null });
+        if (this.frame !== null) this.update(this.frame);
+    }
+
+    render(entry) {
+        if (!this.container) return null;
+
+        const item = document.createElement('div');
+        item.className = `timeline-item timeline-${entry.type || 'caption'}`;
+        if (entry.position) item.classList.add(`timeline-${entry.position}`);
+        item.dataset.enter = entry.enter || 'fade';
+        item.dataset.exit = entry.exit || entry.enter || 'fade';
+
+        this.renderContent(item, entry);
+        this.container.appendChild(item);
+        return item;
+    }
+
+    renderContent(item, entry) {
+        // Translations are keyed by entry, e.g. "timeline.bridal.title", with the config text as the fallback
+        const text = field => i18n.find(`timeline.${entry.id}.${field}`) ?? entry[field];
+        const label = text('label') || i18n.t('timeline.learnMore');
+
+        item.innerHTML = `
+            ${entry.title ? `<h2 class="timeline-title">${text('title')}</h2>` : ''}
+            ${entry.text ? `<p class="timeline-text">${text('text')}</p>` : ''}
+            ${entry.href ? `<a href="${entry.href}" class="${entry.type === 'cta' ? 'btn btn-primary' : 'timeline-link'}">
+                ${label}${entry.type === 'cta' ? '' : ' <i class="fas fa-arrow-right"></i>'}</a>` : ''}
+        `;
+
+        // Hash links go through the page's own handling, deep-link parameters included
+        item.querySelector('a')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            followHashLink(entry.href);
+            if (entry.href.includes('?')) history.replaceState(null, '', entry.href);
+        });
+    }
+
+    // Re-renders the rendered entries in the new language, keeping links out of the tab order while hidden
+    translate() {
+        this.entries.filter(entry => !entry.element).forEach(entry => {
+            this.renderContent(entry.el, entry);
+            entry.el.querySelectorAll('a').forEach(link => {
+                link.tabIndex = entry.state === 'visible' ? 0 : -1;
+            });
+        });
+    }
+
+    // before / visible / after, so an entry leaves the way it came when scrolling back up
+    update(frame) {
+        this.frame = frame;
+
+        this.entries.forEach(entry => {
+            const [start, end] = entry.frames;
+            const state = frame < start ? 'before' : frame > end ? 'after' : 'visible';
+            if (state === entry.state) return;
+
+            const wasVisible = entry.state === 'visible';
+            entry.state = state;
+
+            if (entry.hiddenClass) {
+                entry.el.classList.toggle(entry.hiddenClass, state !== 'visible');
+            } else {
+                entry.el.classList.toggle('is-before', state === 'before');
+                entry.el.classList.toggle('is-visible', state === 'visible');
+                entry.el.classList.toggle('is-after', state === 'after');
+                entry.el.setAttribute('aria-hidden', String(state !== 'visible'));
+                entry.el.querySelectorAll('a').forEach(link => {
+                    link.tabIndex = state === 'visible' ? 0 : -1;
+                });
+            }
+
+            if (state === 'visible' || wasVisible) {
+                this.events.dispatchEvent(new CustomEvent(state === 'visible' ? 'enter' : 'exit', {
+                    detail: { id: entry.id, frame }
+                }));
+            }
+        });
+    }
+
+    // Called with { id, frame } when an entry appears (enter) or goes (exit)
+    on(type, callback) {
+        this.events.addEventListener(type, (e) => callback(e.detail));
+    }
+}
+
+// Same interface as FrameCanvasRenderer, but drawing happens in a worker on an OffscreenCanvas.
+// onError is called if the worker fails to load or throws; by then the canvas and any frames
+// sent belong to the worker, so the caller has to start over with a new canvas.
+class WorkerFrameRenderer {
+    constructor(canvas, url = HERO_RENDERING.worker, onError = null) {
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker = new Worker(url);
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            onError?.(e);
+        }, { once: true });
+        this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    }
+
+    resize(width, height, dpr) {
+        this.worker.postMessage({ type: 'resize', width, height, dpr });
+    }
+
+    // Bitmaps are transferred, so the page no longer holds the pixels itself
+    addFrame(index, bitmap) {
+        this.worker.postMessage({ type: 'frame', index, bitmap }, [bitmap]);
+    }
+
+    removeFrame(index) {
+        this.worker.postMessage({ type: 'remove', index });
+    }
+
+    draw(index, nextIndex = -1, mix = 0) {
+        this.worker.postMessage({ type: 'draw', index, nextIndex, mix });
+    }
+}
+
+function createFrameRenderer(canvas, workerUrl = HERO_RENDERING.worker, onWorkerError = null) {
+    const canUseWorker = typeof Worker !== 'undefined' && typeof createImageBitmap === 'function' &&
+        typeof canvas.transferControlToOffscreen === 'function';
+
+    if (canUseWorker) {
+        try {
+            return new WorkerFrameRenderer(canvas, workerUrl, onWorkerError);
+        } catch (error) {
+            console.warn('Could not start the hero render worker, drawing on the page instead', error);
+        }
+    }
+
+    return new FrameCanvasRenderer(canvas);
+}
+
+class ScrollFrameAnimation {
+    constructor(options = {}) {
+        this.options = { ...HERO_PRELOAD, ...HERO_RENDERING, ...HERO_STATIC, ...options };
+        this.events = new EventTarget();
+        this.preloader = document.getElementById('preloader');
+        this.preloaderBar = document.getElementById('preloader-bar');
+        this.preloaderPercent = document.getElementById('preloader-percent');
+        this.isRevealed = false;
+        this.failedCount = 0;
+
+        this.canvas = document.getElementById('hero-canvas');
+        this.renderer = createFrameRenderer(this.canvas, this.options.worker, (error) => this.leaveWorker(error));
+        this.heroContainer = document.getElementById('home');
+        this.contentWrapper = document.getElementById('hero-content-wrapper');
+        this.scrollIndicator = document.getElementById('hero-scroll-indicator');
+        this.progressBar = document.getElementById('progress-bar');
+        this.scrollProgress = document.getElementById('scroll-progress');
+        this.timelineLayer = document.getElementById('hero-timeline');
+        // Kept in place while scrubbing, then left behind at the end of the hero
+        this.pinnedElements = [document.querySelector('.hero-overlay'), this.contentWrapper, this.timelineLayer];
+
+        // Which frames the renderer has decoded - the pixels themselves may live in the worker -
+        // and the loaded images to decode any frame from again
+        this.loadedFrames = new Set();
+        this.frameSources = [];
+        this.decodingFrames = new Set();
+        // Frames still from the previous variant: drawn until their replacement is decoded
+        this.staleFrames = new Set();
+        this.frameCapacity = HERO_RENDERING.minDecodedFrames;
+        this.loadedCount = 0;
+        this.settledCount = 0;
+        this.currentFrame = 0;
+        // Fractional frame position: drawn eases towards target
+        this.position = 0;
+        this.targetPosition = 0;
+        this.renderRequest = null;
+        this.isLoaded = false;
+        this.isAnimationComplete = false;
+        this.isStatic = motionPreferences.isReduced();
+        this.heroContainer?.classList.toggle('is-static', this.isStatic);
+
+        // Replaced by the fetched manifest once it arrives
+        this.manifest = HERO_MANIFEST_FALLBACK;
+        this.variant = null;
+        this.formats = new Set(['jpeg']);
+        this.frameStride = getFrameStride();
+        this.applyManifest(this.manifest);
+
+        // Frame stepping - show 2-3 frames per scroll step
+        this.framesPerStep = 3;
+
+        this.timeline = new HeroTimeline(this.timelineLayer, this.options.timeline);
+        this.timeline.on('enter', (detail) => this.emit('enter', detail));
+        this.timeline.on('exit', (detail) => this.emit('exit', detail));
+        this.timeline.update(this.isStatic ? this.getPosterFrame() : 0);
+
+        this.init();
+    }
+
+    // Frames that will actually be requested - every one, every Nth in reduced mode,
+    // or only what the static hero shows
+    applyManifest(manifest) {
+        this.manifest = manifest;
+        this.frameCount = manifest.frameCount;
+
+        if (this.isStatic) {
+            this.frames = this.getStaticFrames();
+            return;
+        }
+
+        this.frames = [];
+
+        for (let i = 0; i < this.frameCount; i += this.frameStride) this.frames.push(i);
+        if (this.frames[this.frames.length - 1] !== this.frameCount - 1) this.frames.push(this.frameCount - 1);
+    }
+
+    getPosterFrame() {
+        return this.manifest.posterFrame ?? 0;
+    }
+
+    getStaticFrames() {
+        if (!this.shouldAutoplay()) return [this.getPosterFrame()];
+
+        const frames = [];
+        for (let i = 0; i < this.frameCount; i += FRAME_LOADING.keyframeStep) frames.push(i);
+        if (frames[frames.length - 1] !== this.frameCount - 1) frames.push(this.frameCount - 1);
+
+        return frames;
+    }
+
+    // Never for visitors who asked for less motion, only for those saving data
+    shouldAutoplay() {
+        return this.options.staticAutoplay && motionPreferences.getReason() === 'data-saver';
+    }
+
+    getFramePath(index, variant = this.variant) {
+        const frameNum = String(index + this.manifest.frameStart).padStart(this.manifest.framePad, '0');
+        return variant.path.replace('{frame}', frameNum);
+    }
+
+    // Sprite-sheet variants pack columns x rows frames per image, left to right, top to bottom,
+    // with "{sheet}" in the path numbered like frames
+    getFramesPerSheet(variant = this.variant) {
+        return variant.sprite ? variant.sprite.columns * variant.sprite.rows : 1;
+    }
+
+    getSheetPath(sheet, variant = this.variant) {
+        const sheetNum = String(sheet + this.manifest.frameStart).padStart(this.manifest.framePad, '0');
+        return variant.path.replace('{sheet}', sheetNum);
+    }
+
+    // Where a frame sits within its sprite sheet, in sheet pixels
+    getSpriteCell(index, variant = this.variant) {
+        const { columns } = variant.sprite;
+        const cell = index % this.getFramesPerSheet(variant);
+
+        return {
+            x: (cell % columns) * variant.width,
+            y: Math.floor(cell / columns) * variant.height,
+            width: variant.width,
+            height: variant.height
+        };
+    }
+
+    async init() {
+        this.setupCanvas();
+        this.bindEvents();
+
+        const [manifest, formats] = await Promise.all([loadHeroManifest(), detectImageFormats()]);
+        this.formats = formats;
+        this.applyManifest(manifest);
+        this.variant = this.selectVariant();
+
+        this.preloadImages();
+    }
+
+    selectVariant() {
+        return selectFrameVariant(this.manifest, {
+            width: (this.displayWidth || window.innerWidth) * (this.dpr || 1),
+            height: (this.displayHeight || window.innerHeight) * (this.dpr || 1)
+        }, this.formats);
+    }
+
+    // Moves to a better-fitting frame set after a resize or rotation. Already loaded frames
+    // stay on screen until their replacements arrive.
+    updateVariant() {
+        if (!this.variant || !this.loader) return;
+
+        const next = this.selectVariant();
+        if (next === this.variant) return;
+
+        // A complete set that is larger than needed still looks right - keep it
+        if (this.isLoaded && next.width < this.variant.width) return;
+
+        this.variant = next;
+        this.restartLoading();
+    }
+
+    // Frames are decoded for the canvas shape they were loaded at. They still cover the canvas
+    // after small changes (e.g. a mobile toolbar hiding); a rotation or a much larger window
+    // decodes them again.
+    updateCrop() {
+        if (!this.cropTarget || !this.loader) return;
+
+        const { width, height } = this.cropTarget;
+        const aspectChange = Math.abs((this.displayWidth / this.displayHeight) / (width / height) - 1);
+
+        if (aspectChange > 0.1 || this.displayWidth * this.dpr > width * 1.25) this.restartLoading();
+    }
+
+    // The render worker failed: draw on the page instead, on a fresh canvas since the old one
+    // was handed to the worker, and decode the frames again as the worker had them
+    leaveWorker(error) {
+        console.warn('The hero render worker failed, drawing on the page instead', error);
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        this.renderer = new FrameCanvasRenderer(canvas);
+        if (this.displayWidth) this.renderer.resize(this.displayWidth, this.displayHeight, this.dpr);
+
+        this.loadedFrames = new Set();
+        this.staleFrames = new Set();
+        if (this.loader) this.restartLoading();
+    }
+
+    restartLoading() {
+        this.loader?.cancel();
+        this.loadedCount = 0;
+        this.settledCount = 0;
+        this.failedCount = 0;
+        this.isLoaded = false;
+        this.loadFrames();
+    }
+
+    // Switches between scroll scrubbing and the static hero when the motion preference changes
+    setStatic(enabled) {
+        if (enabled === this.isStatic) return;
+
+        this.isStatic = enabled;
+        this.heroContainer?.classList.toggle('is-static', enabled);
+
+        if (enabled) {
+            this.unpin();
+            this.position = this.targetPosition = this.getPosterFrame();
+        }
+
+        // Before the manifest arrives, init() picks up the new mode by itself
+        if (this.variant) {
+            this.applyManifest(this.manifest);
+            this.restartLoading();
+        }
+
+        if (enabled) {
+            this.requestRender();
+        } else {
+            this.handleScroll();
+        }
+    }
+
+    // Drops the fixed positioning from handleScroll so the hero sits in the page like any section
+    unpin() {
+        this.pinnedElements.forEach(el => {
+            if (!el) return;
+            el.style.position = '';
+            el.style.top = '';
+        });
+
+        this.timeline.update(this.getPosterFrame());
+        this.scrollProgress?.classList.remove('visible');
+    }
+
+    // One pass from the first frame to the last, for the static hero's autoplay
+    playThrough() {
+        let start = null;
+
+        const step = (now) => {
+            start ??= now;
+            const t = Math.min((now - start) / this.options.autoplayDuration, 1);
+
+            this.position = this.targetPosition = t * (this.frameCount - 1);
+            this.drawPosition(this.position);
+
+            if (t < 1 && this.isStatic) requestAnimationFrame(step);
+        };
+
+        requestAnimationFrame(step);
+    }
+
+    setupCanvas() {
+        const resize = () => {
+            // Get the actual CSS-rendered size of the canvas
+            const displayWidth = this.canvas.clientWidth || window.innerWidth;
+            const displayHeight = this.canvas.clientHeight || window.innerHeight;
+
+            // Use device pixel ratio for crisp rendering
+            const dpr = window.devicePixelRatio || 1;
+
+            // Set canvas internal buffer size for high DPI - the renderer also
+            // recalculates its cover-fit geometry here rather than on every draw
+            this.renderer.resize(displayWidth, displayHeight, dpr);
+
+            // Store display dimensions for choosing a variant (the CSS size, not buffer size)
+            this.displayWidth = displayWidth;
+            this.displayHeight = displayHeight;
+            this.dpr = dpr;
+
+            this.drawPosition(this.position);
+            this.updateVariant();
+            this.updateCrop();
+        };
+
+        resize();
+        window.addEventListener('resize', resize);
+        // Handle orientation change on mobile
+        window.addEventListener('orientationchange', () => {
+            setTimeout(resize, 100);
+        });
+    }
+
+    // Listen for load events (started, progress, ready, degraded), scroll events (scroll, frame,
+    // complete) or timeline entries appearing and going (enter, exit)
+    on(type, callback) {
+        this.events.addEventListener(type, (e) => callback(e.detail));
+    }
+
+    // Events also go out on the document as "hero:<type>", for code that runs before the instance exists
+    emit(type, detail = {}) {
+        this.events.dispatchEvent(new CustomEvent(type, { detail }));
+        document.dispatchEvent(new CustomEvent(`hero:${type}`, { detail }));
+    }
+
+    // Called with { progress, frame } on every scroll through the hero
+    onProgress(callback) {
+        this.on('scroll', callback);
+    }
+
+    // Called with { frame, progress } when the scroll reaches a new frame
+    onFrame(callback) {
+        this.on('frame', callback);
+    }
+
+    // Called when the visitor scrolls to the end of the hero
+    onComplete(callback) {
+        this.on('complete', callback);
+    }
+
+    getLoadState() {
+        const total = this.frames.length;
+
+        return {
+            loaded: this.loadedCount,
+            failed: this.failedCount,
+            total,
+            percent: Math.round((this.settledCount / total) * 100)
+        };
+    }
+
+    preloadImages() {
+        // Don't keep visitors behind the spinner if frames are slow to arrive
+        this.revealTimer = setTimeout(() => {
+            if (!this.isRevealed) {
+                this.emit('degraded', { reason: 'timeout', ...this.getLoadState() });
+                this.reveal();
+            }
+        }, this.options.timeout);
+
+        this.loadFrames();
+    }
+
+    loadFrames() {
+        const variant = this.variant;
+        const perSheet = this.getFramesPerSheet(variant);
+
+        // With sprite sheets the loader fetches sheets, each covering several of our frames
+        const framesIn = (unit) => variant.sprite
+            ? this.frames.filter(index => Math.floor(index / perSheet) === unit)
+            : [unit];
+        const units = variant.sprite ? [...new Set(this.frames.map(index => Math.floor(index / perSheet)))] : this.frames;
+
+        this.cropTarget = { width: this.displayWidth * this.dpr, height: this.displayHeight * this.dpr };
+
+        // How many decoded frames fit in the budget at the size they're drawn
+        const crop = this.getFrameCrop(variant.width, variant.height);
+        this.frameCapacity = Math.max(this.options.minDecodedFrames,
+            Math.floor(this.options.bitmapBudget / (crop.resizeWidth * crop.resizeHeight * 4)));
+        this.frameSources = [];
+        this.decodingFrames.clear();
+        this.staleFrames = new Set(this.loadedFrames);
+
+        const loader = new FrameLoader({
+            frames: units,
+            getPath: (unit) => variant.sprite ? this.getSheetPath(unit, variant) : this.getFramePath(unit, variant),
+            onLoad: async (unit, img) => {
+                for (const index of framesIn(unit)) {
+                    const cell = variant.sprite ? this.getSpriteCell(index, variant) : null;
+                    this.frameSources[index] = { img, cell };
+
+                    // Decoded straight away while there's room; the rest wait until they're needed
+                    if (this.loadedFrames.size - this.staleFrames.size < this.frameCapacity) {
+                        await this.decodeFrameAt(index);
+                    }
+
+                    // A newer variant took over while this one was decoding
+                    if (loader !== this.loader) return;
+
+                    if (this.frameSources[index]) {
+                        this.loadedCount++;
+                    } else {
+                        this.failedCount++;
+                    }
+
+                    this.settleFrame();
+                }
+
+                // The new frame may be closer to where the visitor is than what's shown
+                this.requestRender();
+            },
+            onFail: (unit) => {
+                framesIn(unit).forEach(index => {
+                    console.warn(`Failed to load frame ${index + 1}`);
+                    this.failedCount++;
+                    this.settleFrame();
+                });
+            }
+        });
+
+        this.loader = loader;
+        this.emit('started', { variant, ...this.getLoadState() });
+        loader.start();
+    }
+
+    // Decodes a loaded frame into the renderer, making room by dropping the frames furthest
+    // from the scroll position. A frame that can't be decoded is forgotten.
+    async decodeFrameAt(index) {
+        const source = this.frameSources[index];
+        if (!source || this.isDecoded(index) || this.decodingFrames.has(index)) return;
+
+        const loader = this.loader;
+        this.decodingFrames.add(index);
+
+        try {
+            const bitmap = await this.decodeFrame(source.img, source.cell);
+
+            if (loader !== this.loader) {
+                bitmap.close?.();
+                return;
+            }
+
+            this.renderer.addFrame(index, bitmap);
+            this.loadedFrames.add(index);
+            this.staleFrames.delete(index);
+            this.evictFrames();
+        } catch (error) {
+            if (loader !== this.loader) return;
+            console.warn(`Failed to decode frame ${index + 1}`, error);
+            this.frameSources[index] = null;
+        } finally {
+            this.decodingFrames.delete(index);
+        }
+    }
+
+    isDecoded(index) {
+        return this.loadedFrames.has(index) && !this.staleFrames.has(index);
+    }
+
+    // Frames from the previous variant go first, then those furthest from the position
+    evictFrames() {
+        const excess = this.loadedFrames.size - this.frameCapacity;
+        if (excess <= 0) return;
+
+        const distance = index => (this.staleFrames.has(index) ? Infinity : Math.abs(index - this.position));
+
+        [...this.loadedFrames]
+            .sort((a, b) => distance(b) - distance(a))
+            .slice(0, excess)
+            .forEach(index => {
+                this.renderer.removeFrame(index);
+                this.loadedFrames.delete(index);
+                this.staleFrames.delete(index);
+            });
+    }
+
+    // Decodes the frames nearest the position that were dropped, or never decoded, to stay in
+    // the budget. Under half the budget reaches each way, so they don't push each other out.
+    decodeAround(position) {
+        const center = Math.round(position);
+        const reach = Math.floor((this.frameCapacity - 1) / 2);
+        const pending = [];
+
+        for (let offset = 0; offset <= reach && pending.length < reach; offset++) {
+            [center - offset, center + offset].forEach(index => {
+                if (this.frameSources[index] && !this.isDecoded(index)) pending.push(index);
+            });
+        }
+
+        if (!pending.length) return;
+
+        // Draw again once they're in, as they're closer than what's on screen
+        Promise.all(pending.map(index => this.decodeFrameAt(index))).then(() => this.requestRender());
+    }
+
+    // The part of a width x height frame that cover-fit shows on the canvas, and the size to
+    // decode it at: the canvas's pixel size at most
+    getFrameCrop(width, height) {
+        const targetWidth = this.displayWidth * this.dpr;
+        const targetHeight = this.displayHeight * this.dpr;
+        const cover = Math.max(targetWidth / width, targetHeight / height);
+
+        const cropWidth = Math.min(width, Math.round(targetWidth / cover));
+        const cropHeight = Math.min(height, Math.round(targetHeight / cover));
+        const scale = Math.min(cover, 1);
+
+        return {
+            x: Math.round((width - cropWidth) / 2),
+            y: Math.round((height - cropHeight) / 2),
+            width: cropWidth,
+            height: cropHeight,
+            resizeWidth: Math.max(1, Math.round(cropWidth * scale)),
+            resizeHeight: Math.max(1, Math.round(cropHeight * scale))
+        };
+    }
+
+    // Decodes up front so drawing never waits on it, keeping only the visible part of the frame
+    // at the size it's drawn. Falls back to the image itself, or a canvas cut from the sheet,
+    // where createImageBitmap is missing.
+    async decodeFrame(img, cell) {
+        const frame = cell ||
+            { x: 0, y: 0, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height };
+        const crop = this.getFrameCrop(frame.width, frame.height);
+        const x = frame.x + crop.x;
+        const y = frame.y + crop.y;
+
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(img, x, y, crop.width, crop.height, {
+                resizeWidth: crop.resizeWidth,
+                resizeHeight: crop.resizeHeight,
+                resizeQuality: 'high'
+            });
+        }
+
+        if (!cell) return img;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = crop.resizeWidth;
+        canvas.height = crop.resizeHeight;
+        canvas.getContext('2d').drawImage(img, x, y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    // Counts a frame as done, loaded or not
+    settleFrame() {
+        this.settledCount++;
+
+        const state = this.getLoadState();
+        this.updatePreloader(state.percent);
+        this.emit('progress', state);
+
+        // Enough frames to scrub with - the rest keep loading in the background
+        if (!this.isRevealed && this.loadedCount && this.loadedCount / state.total >= this.options.revealThreshold) {
+            this.reveal();
+        }
+
+        if (this.settledCount === state.total) {
+            this.isLoaded = true;
+
+            if (this.failedCount) {
+                this.emit('degraded', { reason: 'missing-frames', ...state });
+            }
+
+            if (this.isStatic && this.shouldAutoplay()) this.playThrough();
+
+            this.reveal();
+        }
+    }
+
+    updatePreloader(percent) {
+        if (this.preloaderBar) {
+            this.preloaderBar.style.width = `${percent}%`;
+            this.preloaderBar.parentElement?.setAttribute('aria-valuenow', percent);
+        }
+
+        if (this.preloaderPercent) {
+            this.preloaderPercent.textContent = `${percent}%`;
+        }
+    }
+
+    reveal() {
+        if (this.isRevealed) return;
+
+        this.isRevealed = true;
+        clearTimeout(this.revealTimer);
+        this.emit('ready', { complete: this.isLoaded, ...this.getLoadState() });
+
+        // Hide preloader
+        setTimeout(() => {
+            if (this.preloader) {
+                this.preloader.classList.add('hidden');
+            }
+        }, 500);
+    }
+
+    // Closest loaded frame at or beyond index, searching in direction (-1 or 1)
+    findLoadedFrame(index, direction) {
+        for (let i = index; i >= 0 && i < this.frameCount; i += direction) {
+            if (this.loadedFrames.has(i)) return i;
+        }
+
+        return -1;
+    }
+
+    // Draws the fractional frame position, cross-fading between the loaded frames either side.
+    // While frames stream in, the gap may span several frames.
+    drawPosition(position) {
+        this.decodeAround(position);
+
+        let lower = this.findLoadedFrame(Math.floor(position), -1);
+        let upper = this.findLoadedFrame(Math.ceil(position), 1);
+
+        if (lower === -1 && upper === -1) return;
+        if (lower === -1) lower = upper;
+        if (upper === -1) upper = lower;
+
+        if (lower === upper) {
+            this.renderer.draw(lower);
+        } else if (this.options.crossFade) {
+            this.renderer.draw(lower, upper, (position - lower) / (upper - lower));
+        } else {
+            // Without blending, show whichever frame is closer
+            this.renderer.draw(position - lower <= upper - position ? lower : upper);
+        }
+    }
+
+    requestRender() {
+        if (!this.renderRequest) {
+            this.renderRequest = requestAnimationFrame(() => this.render());
+        }
+    }
+
+    // Eases the drawn position towards the scroll position, so big jumps play through
+    // the frames in between instead of cutting straight to the end
+    render() {
+        this.renderRequest = null;
+
+        const distance = this.targetPosition - this.position;
+        this.position = Math.abs(distance) < 0.05
+            ? this.targetPosition
+            : this.position + distance * this.options.easing;
+
+        this.drawPosition(this.position);
+
+        if (this.position !== this.targetPosition) this.requestRender();
+    }
+
+    // Moves frames (or the sheets holding them) near the given one to the front of the queue
+    prioritizeFrame(index) {
+        if (!this.loader || this.isLoaded) return;
+
+        const perSheet = this.getFramesPerSheet();
+        if (perSheet > 1) {
+            this.loader.prioritize(Math.floor(index / perSheet), 1);
+        } else {
+            this.loader.prioritize(index);
+        }
+    }
+
+    bindEvents() {
+        let ticking = false;
+
+        window.addEventListener('scroll', () => {
+            if (!ticking) {
+                requestAnimationFrame(() => {
+                    this.handleScroll();
+                    ticking = false;
+                });
+                ticking = true;
+            }
+        });
+
+        motionPreferences.onChange(({ reduced }) => this.setStatic(reduced));
+    }
+
+    handleScroll() {
+        // The static hero doesn't follow the scroll
+        if (this.isStatic) return;
+
+        const heroRect = this.heroContainer.getBoundingClientRect();
+        const heroHeight = this.heroContainer.offsetHeight;
+        const viewportHeight = window.innerHeight;
+
+        // Calculate scroll progress within hero section (0 to 1)
+        // The animation should complete when we've scrolled through the hero section
+        const scrolled = -heroRect.top;
+        const maxScroll = heroHeight - viewportHeight;
+        const progress = Math.min(Math.max(scrolled / maxScroll, 0), 1);
+
+        // Calculate current frame based on progress
+        // Show 2-3 frames per scroll increment
+        const targetFrame = Math.floor(progress * (this.frameCount - 1));
+
+        // Clamp frame to valid range
+        const newFrame = Math.min(Math.max(targetFrame, 0), this.frameCount - 1);
+
+        if (newFrame !== this.currentFrame) {
+            this.currentFrame = newFrame;
+
+            // Fetch the frames around here next
+            this.prioritizeFrame(newFrame);
+            this.emit('frame', { frame: newFrame, progress });
+        }
+
+        this.emit('scroll', { progress, frame: newFrame });
+        this.timeline.update(newFrame);
+
+        this.targetPosition = progress * (this.frameCount - 1);
+        this.requestRender();
+
+        // Update progress bar
+        if (this.progressBar) {
+            this.progressBar.style.width = `${progress * 100}%`;
+        }
+
+        // Show/hide progress bar
+        if (this.scrollProgress) {
+            if (progress > 0 && progress < 1) {
+                this.scrollProgress.classList.add('visible');
+            } else {
+                this.scrollProgress.classList.remove('visible');
+            }
+        }
+
+        // Animation complete - leave the pinned elements where the hero ends
+        const complete = progress >= 1;
+        if (complete !== this.isAnimationComplete) {
+            this.isAnimationComplete = complete;
+            if (complete) this.emit('complete', { frame: newFrame });
+        }
+
+        this.pinnedElements.forEach(el => {
+            if (!el) return;
+            el.style.position = complete ? 'absolute' : 'fixed';
+            el.style.top = complete ? `${heroHeight - viewportHeight}px` : '0';
+        });
+    }
+}
+
+// Initialize scroll frame animation
+let heroAnimation = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    heroAnimation = new ScrollFrameAnimation();
+});
+
+// ===== DOM ELEMENTS =====
+const elements = {
+    preloader: document.getElementById('preloader'),
+    header: document.getElementById('header'),
+    navMenu: document.getElementById('nav-menu'),
+    navToggle: document.getElementById('nav-toggle'),
+    navClose: document.getElementById('nav-close'),
+    navLinks: document.querySelectorAll('.nav-link'),
+    galleryGrid: document.getElementById('gallery-grid'),
+    lightbox: document.getElementById('lightbox'),
+    lightboxImg: document.getElementById('lightbox-img'),
+    backToTop: document.getElementById('back-to-top'),
+    toast: document.getElementById('toast'),
+    testimonialsTrack: document.getElementById('testimonials-track'),
+    bookingForm: document.getElementById('booking-form'),
+    contactForm: document.getElementById('contact-form')
+};
+
+// ===== HEADER SCROLL EFFECT =====
+let lastScroll = 0;
+
+window.addEventListener('scroll', () => {
+    const currentScroll = window.pageYOffset;
+
+    // Add/remove scrolled class
+    if (currentScroll > 50) {
+        elements.header.classList.add('scrolled');
+    } else {
+        elements.header.classList.remove('scrolled');
+    }
+
+    // Update active nav link based on section
+    updateActiveNavLink();
+
+    // Show/hide back to top button
+    if (currentScroll > 500) {
+        elements.backToTop.classList.add('visible');
+    } else {
+        elements.backToTop.classList.remove('visible');
+    }
+
+    lastScroll = currentScroll;
+});
+
+// ===== MOBILE NAVIGATION =====
+elements.navToggle?.addEventListener('click', () => {
+    elements.navMenu.classList.add('active');
+    document.body.style.overflow = 'hidden';
+});
+
+elements.navClose?.addEventListener('click', () => {
+    elements.navMenu.classList.remove('active');
+    document.body.style.overflow = 'auto';
+});
+
+// Close menu when clicking a link
+elements.navLinks.forEach(link => {
+    link.addEventListener('click', () => {
+        elements.navMenu.classList.remove('active');
+        document.body.style.overflow = 'auto';
+    });
+});
+
+// Close menu when clicking outside
+document.addEventListener('click', (e) => {
+    if (elements.navMenu.classList.contains('active') &&
+        !elements.navMenu.contains(e.target) &&
+        !elements.navToggle.contains(e.target)) {
+        elements.navMenu.classList.remove('active');
+        document.body.style.overflow = 'auto';
+    }
+});
+
+// ===== ACTIVE NAV LINK =====
+function updateActiveNavLink() {
+    const sections = document.querySelectorAll('section[id]');
+    const scrollY = window.pageYOffset;
+
+    sections.forEach(section => {
+        const sectionHeight = section.offsetHeight;
+        const sectionTop = section.offsetTop - 100;
+        const sectionId = section.getAttribute('id');
+
+        if (scrollY > sectionTop && scrollY <= sectionTop + sectionHeight) {
+            elements.navLinks.forEach(link => {
+                link.classList.remove('active');
+                if (link.getAttribute('href') === `#${sectionId}`) {
+                    link.classList.add('active');
+                }
+            });
+        }
+    });
+}
+
+// ===== BEFORE/AFTER COMPARISON =====
+// How far the divider moves per arrow key, and with Page Up/Down
+const COMPARE_STEP = 5;
+const COMPARE_PAGE_STEP = 20;
+
+// Markup for a comparison of a look's before and after images. Pass srcsets and sizes for
+// responsive thumbnails in the grid.
+function renderCompare({ before, after, alt = '', beforeSrcset = '', afterSrcset = '', sizes = '' }) {
+    const responsive = (srcset) => srcset ? ` srcset="${srcset}" sizes="${sizes}"` : '';
+
+    return `
+        <div class="compare" style="--position: 50%">
+            <img class="compare-after" src="${after}"${responsive(afterSrcset)}
+                alt="${i18n.t('compare.afterAlt', { alt })}" decoding="async">
+            <img class="compare-before" src="${before}"${responsive(beforeSrcset)}
+                alt="${i18n.t('compare.beforeAlt', { alt })}" decoding="async">
+            <span class="compare-tag compare-tag-before" aria-hidden="true">${i18n.t('compare.before')}</span>
+            <span class="compare-tag compare-tag-after" aria-hidden="true">${i18n.t('compare.after')}</span>
+            <div class="compare-handle" role="slider" tabindex="0" aria-label="${i18n.t('compare.label', { alt })}"
+                aria-valuemin="0" aria-valuemax="100" aria-valuenow="50"
+                aria-valuetext="${i18n.t('compare.value', { percent: 50 })}">
+                <i class="fas fa-arrows-left-right"></i>
+            </div>
+        </div>
+    `;
+}
+
+// Drag, touch or arrow keys move the divider; the before image shows to its left
+class BeforeAfterSlider {
+    constructor(container) {
+        this.container = container;
+        this.handle = container.querySelector('.compare-handle');
+        this.position = 50;
+        this.isDragging = false;
+        this.hasDragged = false;
+
+        this.init();
+    }
+
+    init() {
+        this.container.dataset.ready = 'true';
+
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+
+            this.isDragging = true;
+            this.hasDragged = false;
+            this.container.setPointerCapture?.(e.pointerId);
+            this.container.classList.add('dragging');
+            this.moveTo(e.clientX);
+        });
+
+        this.container.addEventListener('pointermove', (e) => {
+            if (!this.isDragging) return;
+
+            this.hasDragged = true;
+            this.moveTo(e.clientX);
+        });
+
+        const stop = () => {
+            this.isDragging = false;
+            this.container.classList.remove('dragging');
+        };
+
+        this.container.addEventListener('pointerup', stop);
+        this.container.addEventListener('pointercancel', stop);
+
+        // Using the slider shouldn't also open or close whatever it sits in
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        this.handle?.addEventListener('keydown', (e) => {
+            const steps = {
+                ArrowLeft: -COMPARE_STEP,
+                ArrowDown: -COMPARE_STEP,
+                ArrowRight: COMPARE_STEP,
+                ArrowUp: COMPARE_STEP,
+                PageDown: -COMPARE_PAGE_STEP,
+                PageUp: COMPARE_PAGE_STEP
+            };
+
+            if (e.key in steps) {
+                this.setPosition(this.position + steps[e.key]);
+            } else if (e.key === 'Home') {
+                this.setPosition(0);
+            } else if (e.key === 'End') {
+                this.setPosition(100);
+            } else {
+                return;
+            }
+
+            // Keep the keys from also paging the lightbox or scrolling the page
+            e.preventDefault();
+            e.stopPropagation();
+        });
+    }
+
+    moveTo(clientX) {
+        const rect = this.container.getBoundingClientRect();
+        if (!rect.width) return;
+
+        this.setPosition(((clientX - rect.left) / rect.width) * 100);
+    }
+
+    setPosition(percent) {
+        this.position = Math.min(Math.max(Math.round(percent), 0), 100);
+        this.container.style.setProperty('--position', `${this.position}%`);
+
+        this.handle?.setAttribute('aria-valuenow', this.position);
+        this.handle?.setAttribute('aria-valuetext', i18n.t('compare.value', { percent: this.position }));
+    }
+}
+
+// Sets up any comparisons inside root that haven't been yet
+function initCompareSliders(root) {
+    root.querySelectorAll('.compare:not([data-ready])').forEach(container => new BeforeAfterSlider(container));
+}
+
+// ===== PORTFOLIO GALLERY =====
+const GALLERY_SOURCE = 'data/gallery.json';
+const GALLERY_PAGE_SIZE = 6;
+
+// Thumbnail widths offered in srcset, and the size opened in the lightbox
+const GALLERY_THUMB_WIDTHS = [400, 600, 900];
+const GALLERY_FULL_WIDTH = 1200;
+const GALLERY_THUMB_SIZES = '(max-width: 768px) 50vw, (max-width: 1200px) 33vw, 25vw';
+
+// Turns a gallery.json entry into what the grid and lightbox use. "{width}" in the image
+// URL is replaced with each size. An optional "before" image, in the same form, turns the
+// look into a before/after comparison. Photos that don't come any larger give their
+// "maxWidth", which the lightbox opens instead of the full width.
+function normalizeGalleryItem(item) {
+    const sizedUrl = (width, url = item.image) => url.replace('{width}', width);
+    const srcset = (url) => GALLERY_THUMB_WIDTHS.map(width => `${sizedUrl(width, url)} ${width}w`).join(', ');
+    const fullWidth = Math.min(GALLERY_FULL_WIDTH, item.maxWidth || GALLERY_FULL_WIDTH);
+
+    return {
+        id: item.id,
+        title: item.title,
+        alt: item.alt || item.title,
+        caption: item.caption || null,
+        category: item.category || null,
+        finishes: item.finishes || [],
+        layout: item.layout || null,
+        thumb: sizedUrl(GALLERY_THUMB_WIDTHS[1]),
+        srcset: srcset(item.image),
+        full: sizedUrl(fullWidth),
+        before: item.before ? sizedUrl(fullWidth, item.before) : null,
+        beforeThumb: item.before ? sizedUrl(GALLERY_THUMB_WIDTHS[1], item.before) : null,
+        beforeSrcset: item.before ? srcset(item.before) : ''
+    };
+}
+
+// The looks already in the page, used when gallery.json can't be loaded. A data-before
+// attribute pairs a look with its before image.
+function readGalleryMarkup(grid) {
+    return Array.from(grid.querySelectorAll('.gallery-item')).map((item, index) => {
+        const img = item.querySelector('img');
+
+        return {
+            id: `look-${index + 1}`,
+            title: img?.alt || '',
+            alt: img?.alt || '',
+            caption: null,
+            category: item.dataset.category || null,
+            finishes: [],
+            layout: item.classList.contains('gallery-item-tall') ? 'tall'
+                : item.classList.contains('gallery-item-wide') ? 'wide' : null,
+            thumb: img?.getAttribute('src'),
+            srcset: '',
+            full: item.dataset.src,
+            before: item.dataset.before || null,
+            beforeThumb: item.dataset.before || null,
+            beforeSrcset: ''
+        };
+    });
+}
+
+class PortfolioGallery {
+    constructor(grid, source = GALLERY_SOURCE) {
+        this.grid = grid;
+        this.source = source;
+        this.filtersContainer = document.getElementById('gallery-filters');
+        this.emptyMessage = document.getElementById('gallery-empty');
+        this.loadMoreBtn = document.getElementById('gallery-load-more');
+        this.events = new EventTarget();
+
+        this.items = readGalleryMarkup(grid);
+        this.categories = [];
+        this.filter = { category: null, finish: null };
+        this.visibleCount = GALLERY_PAGE_SIZE;
+
+        // Settles once the looks are loaded (or the built-in ones are used instead)
+        this.ready = this.init();
+    }
+
+    async init() {
+        // Comparison looks open from their expand button, so the slider can be dragged
+        this.grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (!item) return;
+            if (item.classList.contains('gallery-item-compare') && !e.target.closest('.gallery-expand')) return;
+
+            this.open(item);
+        });
+
+        this.grid.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('gallery-item')) {
+                e.preventDefault();
+                this.open(e.target);
+            }
+        });
+
+        this.filtersContainer?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.gallery-chip');
+            if (chip) this.setFilter({ [chip.dataset.filter]: chip.dataset.value || null });
+        });
+
+        this.loadMoreBtn?.addEventListener('click', () => this.loadMore());
+
+        i18n.onChange(() => {
+            this.renderFilters();
+            this.render();
+        });
+
+        try {
+            const response = await fetch(this.source, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) throw new Error(`Gallery request failed (${response.status})`);
+
+            const data = await response.json();
+            this.items = data.items.map(normalizeGalleryItem);
+            this.categories = data.categories || [];
+        } catch (error) {
+            console.warn('Could not load gallery data, showing the built-in looks', error);
+        }
+
+        this.renderFilters();
+        this.render();
+    }
+
+    // Looks matching the current filter, whether or not they've been paged in yet
+    getFilteredItems() {
+        const { category, finish } = this.filter;
+
+        return this.items.filter(item =>
+            (!category || item.category === category) &&
+            (!finish || item.finishes.includes(finish)));
+    }
+
+    setFilter(changes) {
+        this.filter = { ...this.filter, ...changes };
+        this.visibleCount = GALLERY_PAGE_SIZE;
+
+        this.filtersContainer?.querySelectorAll('.gallery-chip').forEach(chip => {
+            const active = (this.filter[chip.dataset.filter] || '') === chip.dataset.value;
+            chip.setAttribute('aria-pressed', String(active));
+        });
+
+        this.render();
+    }
+
+    loadMore() {
+        const start = this.visibleCount;
+        this.visibleCount += GALLERY_PAGE_SIZE;
+        this.render(start);
+
+        // Keep keyboard users where the new looks begin
+        this.grid.querySelector(`[data-index="${start}"]`)?.focus();
+    }
+
+    // Only categories and finishes that have looks get a chip
+    renderFilters() {
+        if (!this.filtersContainer) return;
+
+        const used = new Set(this.items.map(item => item.category).filter(Boolean));
+        const categories = [...this.categories.filter(category => used.has(category)),
+            ...[...used].filter(category => !this.categories.includes(category))];
+        const finishes = [...new Set(this.items.flatMap(item => item.finishes))];
+
+        const chip = (filter, value, label) => `
+            <button type="button" class="gallery-chip" data-filter="${filter}" data-value="${value}"
+                aria-pressed="${(this.filter[filter] || '') === value}">${label}</button>`;
+
+        this.filtersContainer.innerHTML = `
+            <div class="gallery-chips" role="group" aria-label="${i18n.t('gallery.category')}">
+                ${chip('category', '', i18n.t('gallery.all'))}
+                ${categories.map(category => chip('category', category, category)).join('')}
+            </div>
+            ${finishes.length ? `
+            <div class="gallery-chips gallery-chips-finish" role="group"
+                aria-label="${i18n.t('gallery.finish')}">
+                ${chip('finish', '', i18n.t('gallery.allFinishes'))}
+                ${finishes.map(finish => chip('finish', finish, finish)).join('')}
+            </div>` : ''}
+        `;
+
+        this.filtersContainer.hidden = !categories.length && !finishes.length;
+    }
+
+    // Renders from the given position on, so "load more" only adds the new page
+    render(from = 0) {
+        const items = this.getFilteredItems();
+        const html = items.slice(from, this.visibleCount)
+            .map((item, offset) => this.renderItem(item, from + offset))
+            .join('');
+
+        if (from === 0) {
+            this.grid.innerHTML = html;
+        } else {
+            this.grid.insertAdjacentHTML('beforeend', html);
+        }
+
+        initCompareSliders(this.grid);
+
+        if (this.emptyMessage) this.emptyMessage.hidden = items.length > 0;
+        if (this.loadMoreBtn) this.loadMoreBtn.hidden = this.visibleCount >= items.length;
+    }
+
+    renderItem(item, index) {
+        const layout = item.layout ? ` gallery-item-${item.layout}` : '';
+        const label = i18n.t('gallery.view', { title: item.title || i18n.t('gallery.look') });
+
+        // The slider is the item's main control here, with a separate button to enlarge
+        if (item.before) {
+            return `
+                <div class="gallery-item gallery-item-compare${layout}" data-index="${index}" data-id="${item.id}">
+                    ${renderCompare({
+                        before: item.beforeThumb,
+                        after: item.thumb,
+                        alt: item.alt,
+                        beforeSrcset: item.beforeSrcset,
+                        afterSrcset: item.srcset,
+                        sizes: GALLERY_THUMB_SIZES
+                    })}
+                    <button type="button" class="gallery-expand" aria-label="${label}">
+                        <i class="fas fa-expand"></i>
+                    </button>
+                </div>
+            `;
+        }
+
+        const srcset = item.srcset ? ` srcset="${item.srcset}" sizes="${GALLERY_THUMB_SIZES}"` : '';
+
+        return `
+            <div class="gallery-item${layout}" data-index="${index}" data-id="${item.id}" tabindex="0" role="button"
+                aria-label="${label}">
+                <img src="${item.thumb}"${srcset} alt="${item.alt}" loading="lazy" decoding="async">
+                <div class="gallery-overlay">
+                    <i class="fas fa-expand"></i>
+                    <span>${item.title || i18n.t('gallery.open')}</span>
+                    ${item.finishes.length ? `<ul class="gallery-tags">
+                        ${item.finishes.map(finish => `<li>${finish}</li>`).join('')}
+                    </ul>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    open(element) {
+        const index = Number(element.closest('.gallery-item').dataset.index);
+        const item = this.getFilteredItems()[index];
+        if (!item) return;
+
+        this.events.dispatchEvent(new CustomEvent('open', { detail: { index, item } }));
+    }
+
+    // Called with { index, item } when a look is chosen; index is within the filtered looks
+    onOpen(callback) {
+        this.events.addEventListener('open', (e) => callback(e.detail));
+    }
+}
+
+const portfolioGallery = elements.galleryGrid ? new PortfolioGallery(elements.galleryGrid) : null;
+
+// ===== GALLERY LIGHTBOX =====
+// Zoom limits, the zoom a double tap jumps to, and how far a swipe must travel to change look
+const LIGHTBOX_ZOOM = {
+    min: 1,
+    max: 4,
+    doubleTap: 2.5,
+    doubleTapDelay: 300,
+    swipeDistance: 50
+};
+
+class Lightbox {
+    constructor(gallery) {
+        this.lightbox = elements.lightbox;
+        this.img = elements.lightboxImg;
+        this.content = elements.lightbox?.querySelector('.lightbox-content');
+        this.caption = document.getElementById('lightbox-caption');
+        this.counter = document.getElementById('lightbox-counter');
+        this.closeBtn = elements.lightbox?.querySelector('.lightbox-close');
+        this.gallery = gallery;
+        this.currentIndex = 0;
+        this.items = [];
+        this.preloaded = new Set();
+
+        // What to put back on close
+        this.previousFocus = null;
+        this.previousOverflow = '';
+        this.previousUrl = null;
+
+        // Zoom and pan of the current image, and the pointers touching it
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+
+        this.init();
+    }
+
+    init() {
+        // Opened from the gallery - prev/next stay within its current filter
+        this.gallery?.onOpen(({ index }) => this.open(index));
+
+        // Close button
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Navigation
+        this.lightbox?.querySelector('.lightbox-prev')?.addEventListener('click', () => this.prev());
+        this.lightbox?.querySelector('.lightbox-next')?.addEventListener('click', () => this.next());
+
+        // Close on background click
+        this.lightbox?.addEventListener('click', (e) => {
+            if (e.target === this.lightbox) this.close();
+        });
+
+        this.img.addEventListener('load', () => this.setLoading(false));
+        this.img.addEventListener('error', () => {
+            this.setLoading(false);
+            if (this.caption) this.caption.textContent = i18n.t('lightbox.error');
+        });
+
+        this.bindGestures();
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+
+            if (e.key === 'Escape') this.close();
+            if (e.key === 'ArrowLeft') this.prev();
+            if (e.key === 'ArrowRight') this.next();
+            if (e.key === '+' || e.key === '=') this.setZoom(this.zoom.scale + 0.5);
+            if (e.key === '-') this.setZoom(this.zoom.scale - 0.5);
+            if (e.key === '0') this.setZoom(1);
+            if (e.key === 'Tab') this.trapFocus(e);
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.lightbox?.classList.contains('active'));
+    }
+
+    open(index) {
+        this.items = this.gallery.getFilteredItems();
+        if (!this.items[index]) return;
+
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.previousOverflow = document.body.style.overflow;
+            this.previousUrl = location.href;
+        }
+
+        this.show(index);
+        this.lightbox.classList.add('active');
+        this.lightbox.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+        this.closeBtn?.focus();
+
+        const item = this.items[index];
+        analytics.track('lightbox_open', { id: item.id, category: item.category });
+    }
+
+    // Opens a look by its id, as used in shared links. Clears the filter if it hides the look.
+    async openById(id) {
+        await this.gallery.ready;
+
+        let index = this.gallery.getFilteredItems().findIndex(item => item.id === id);
+        if (index === -1) {
+            this.gallery.setFilter({ category: null, finish: null });
+            index = this.gallery.getFilteredItems().findIndex(item => item.id === id);
+        }
+
+        if (index === -1) return;
+
+        this.open(index);
+        // Closing a shared look returns to the plain gallery rather than the link
+        this.previousUrl = '#gallery';
+    }
+
+    close() {
+        this.lightbox.classList.remove('active');
+        this.lightbox.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = this.previousOverflow;
+
+        if (this.previousUrl !== null) {
+            history.replaceState(null, '', this.previousUrl);
+            this.previousUrl = null;
+        }
+
+        this.previousFocus?.focus?.();
+        this.previousFocus = null;
+    }
+
+    // Looks with a before image get the comparison slider in place of the plain image
+    show(index) {
+        const item = this.items[index];
+        this.currentIndex = index;
+        this.setZoom(1);
+
+        this.content.querySelector('.compare')?.remove();
+        this.img.hidden = Boolean(item.before);
+
+        if (item.before) {
+            this.content.insertAdjacentHTML('beforeend', renderCompare({
+                before: item.before,
+                after: item.full,
+                alt: item.alt
+            }));
+            initCompareSliders(this.content);
+            this.setLoading(false);
+        } else if (this.img.getAttribute('src') !== item.full) {
+            this.setLoading(true);
+            this.img.alt = item.alt;
+            this.img.src = item.full;
+        }
+
+        if (this.caption) this.caption.textContent = item.caption || item.title;
+        if (this.counter) this.counter.textContent = `${index + 1} / ${this.items.length}`;
+
+        // Each look gets its own address, so it can be shared
+        history.replaceState(null, '', `#gallery?look=${encodeURIComponent(item.id)}`);
+
+        this.preloadNeighbours(index);
+    }
+
+    setLoading(loading) {
+        this.content?.classList.toggle('loading', loading);
+        this.content?.setAttribute('aria-busy', String(loading));
+    }
+
+    // Fetches the looks either side, so stepping through is instant
+    preloadNeighbours(index) {
+        const count = this.items.length;
+
+        [index - 1, index + 1].forEach(position => {
+            const item = this.items[(position + count) % count];
+
+            [item.full, item.before].filter(Boolean).forEach(src => {
+                if (this.preloaded.has(src)) return;
+
+                this.preloaded.add(src);
+                const img = new Image();
+                img.src = src;
+            });
+        });
+    }
+
+    prev() {
+        this.show((this.currentIndex - 1 + this.items.length) % this.items.length);
+    }
+
+    next() {
+        this.show((this.currentIndex + 1) % this.items.length);
+    }
+
+    // Keeps Tab and Shift+Tab cycling through the lightbox's own controls
+    trapFocus(e) {
+        const focusable = Array.from(this.lightbox.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.hidden && !el.disabled);
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!this.lightbox.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    setZoom(scale, x = this.zoom.x, y = this.zoom.y) {
+        const clamped = Math.min(Math.max(scale, LIGHTBOX_ZOOM.min), LIGHTBOX_ZOOM.max);
+
+        // Don't let the image be dragged further than its zoomed edges
+        const maxX = (this.img.clientWidth * (clamped - 1)) / 2;
+        const maxY = (this.img.clientHeight * (clamped - 1)) / 2;
+
+        this.zoom = {
+            scale: clamped,
+            x: clamped === 1 ? 0 : Math.min(Math.max(x, -maxX), maxX),
+            y: clamped === 1 ? 0 : Math.min(Math.max(y, -maxY), maxY)
+        };
+
+        this.img.style.transform = clamped === 1 ? '' : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clamped})`;
+        this.content?.classList.toggle('zoomed', clamped > 1);
+    }
+
+    // Swipe to change look, pinch or double tap to zoom, drag to pan while zoomed.
+    // The comparison slider handles its own pointers.
+    bindGestures() {
+        if (!this.content) return;
+
+        const distance = () => {
+            const [a, b] = [...this.pointers.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+
+        this.content.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.compare')) return;
+
+            this.content.setPointerCapture?.(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pointers.size === 2) {
+                this.gesture = { type: 'pinch', distance: distance(), scale: this.zoom.scale };
+            } else {
+                this.gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, x: this.zoom.x, y: this.zoom.y };
+            }
+        });
+
+        this.content.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+                this.setZoom(this.gesture.scale * (distance() / this.gesture.distance));
+            } else if (this.gesture.type === 'drag' && this.zoom.scale > 1) {
+                this.setZoom(this.zoom.scale,
+                    this.gesture.x + e.clientX - this.gesture.startX,
+                    this.gesture.y + e.clientY - this.gesture.startY);
+            }
+        });
+
+        const end = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.delete(e.pointerId);
+
+            const gesture = this.gesture;
+            this.gesture = null;
+            if (gesture?.type !== 'drag' || e.type === 'pointercancel') return;
+
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+
+            // A horizontal swipe on an unzoomed image changes look
+            if (this.zoom.scale === 1 && Math.abs(dx) > LIGHTBOX_ZOOM.swipeDistance && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+                return;
+            }
+
+            if (Math.abs(dx) < 10 && Math.abs(dy) < 10) this.handleTap(e);
+        };
+
+        this.content.addEventListener('pointerup', end);
+        this.content.addEventListener('pointercancel', end);
+    }
+
+    // Double tap zooms in on the tapped point, or back out
+    handleTap(e) {
+        const now = Date.now();
+        const isDoubleTap = this.lastTap && now - this.lastTap < LIGHTBOX_ZOOM.doubleTapDelay;
+        this.lastTap = isDoubleTap ? null : now;
+
+        if (!isDoubleTap) return;
+
+        if (this.zoom.scale > 1) {
+            this.setZoom(1);
+            return;
+        }
+
+        const rect = this.img.getBoundingClientRect();
+        const offsetX = e.clientX - (rect.left + rect.width / 2);
+        const offsetY = e.clientY - (rect.top + rect.height / 2);
+        const scale = LIGHTBOX_ZOOM.doubleTap;
+
+        this.setZoom(scale, -offsetX * (scale - 1), -offsetY * (scale - 1));
+    }
+}
+
+// Initialize lightbox
+const galleryLightbox = elements.lightbox && portfolioGallery ? new Lightbox(portfolioGallery) : null;
+
+// ===== TESTIMONIALS CAROUSEL =====
+const TESTIMONIAL_CAROUSEL = {
+    autoplay: true,
+    interval: 6000,
+    swipeThreshold: 50,
+    // How far a drag carries on after release, in ms of its final speed
+    momentum: 250
+};
+
+class TestimonialsCarousel {
+    constructor(track, options = {}) {
+        this.options = { ...TESTIMONIAL_CAROUSEL, ...options };
+        this.track = track;
+        this.carousel = track.closest('.testimonials-carousel');
+        this.cards = track.querySelectorAll('.testimonial-card');
+        this.prevBtn = document.querySelector('.testimonial-prev');
+        this.nextBtn = document.querySelector('.testimonial-next');
+        this.playBtn = document.querySelector('.testimonial-play');
+        this.dotsContainer = document.getElementById('testimonial-dots');
+        this.status = document.getElementById('testimonials-status');
+        this.currentIndex = 0;
+        this.cardsToShow = this.getCardsToShow();
+
+        // Autoplay stops for any of these; the visitor's pause sticks until they press play
+        this.timer = null;
+        this.pauseReasons = new Set();
+        if (!this.options.autoplay) this.pauseReasons.add('disabled');
+
+        this.init();
+    }
+
+    getCardsToShow() {
+        if (window.innerWidth < 768) return 1;
+        if (window.innerWidth < 992) return 2;
+        return 3;
+    }
+
+    getMaxIndex() {
+        return Math.max(0, this.cards.length - this.cardsToShow);
+    }
+
+    init() {
+        this.cards.forEach(card => {
+            card.setAttribute('role', 'group');
+            card.setAttribute('aria-roledescription', 'slide');
+        });
+        this.labelCards();
+
+        this.prevBtn?.addEventListener('click', () => this.prev());
+        this.nextBtn?.addEventListener('click', () => this.next());
+        this.playBtn?.addEventListener('click', () => {
+            this.setPaused('user', !this.pauseReasons.has('user'));
+        });
+
+        this.dotsContainer?.addEventListener('click', (e) => {
+            const dot = e.target.closest('.testimonial-dot');
+            if (dot) this.goTo(Number(dot.dataset.index));
+        });
+
+        this.carousel?.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') this.prev();
+            else if (e.key === 'ArrowRight') this.next();
+            else if (e.key === 'Home') this.goTo(0);
+            else if (e.key === 'End') this.goTo(this.getMaxIndex());
+            else return;
+
+            e.preventDefault();
+        });
+
+        // Pause while the visitor is reading or using the controls
+        this.carousel?.addEventListener('mouseenter', () => this.setPaused('hover', true));
+        this.carousel?.addEventListener('mouseleave', () => this.setPaused('hover', false));
+        this.carousel?.addEventListener('focusin', () => this.setPaused('focus', true));
+        this.carousel?.addEventListener('focusout', (e) => {
+            if (!this.carousel.contains(e.relatedTarget)) this.setPaused('focus', false);
+        });
+
+        this.setPaused('reduced-motion', motionPreferences.isReduced());
+        motionPreferences.onChange(({ reduced }) => this.setPaused('reduced-motion', reduced));
+
+        document.addEventListener('visibilitychange', () => this.setPaused('hidden', document.hidden));
+
+        // Handle resize - keep the first visible card where it is
+        window.addEventListener('resize', () => {
+            const cardsToShow = this.getCardsToShow();
+            if (cardsToShow === this.cardsToShow) {
+                this.goTo(this.currentIndex, { animate: false, announce: false });
+                return;
+            }
+
+            this.cardsToShow = cardsToShow;
+            this.renderDots();
+            this.goTo(this.currentIndex, { animate: false, announce: false });
+        });
+
+        i18n.onChange(() => {
+            this.labelCards();
+            this.renderDots();
+            this.updatePlayButton();
+            this.goTo(this.currentIndex, { animate: false, announce: false });
+        });
+
+        this.bindDrag();
+        this.renderDots();
+        this.goTo(0, { animate: false, announce: false });
+    }
+
+    labelCards() {
+        this.cards.forEach((card, index) => {
+            const label = i18n.t('testimonials.slide', { index: index + 1, total: this.cards.length });
+            card.setAttribute('aria-label', label);
+        });
+    }
+
+    // One dot per position the carousel can stop at
+    renderDots() {
+        if (!this.dotsContainer) return;
+
+        const count = this.getMaxIndex() + 1;
+        this.dotsContainer.innerHTML = Array.from({ length: count }, (_, index) => `
+            <button type="button" class="testimonial-dot" data-index="${index}"
+                aria-label="${i18n.t('testimonials.dot', { index: index + 1 })}"></button>
+        `).join('');
+        this.dotsContainer.hidden = count < 2;
+    }
+
+    // Distance to a card, measured from the layout so the CSS gap can change freely
+    getOffset(index) {
+        const card = this.cards[index];
+        return card ? card.offsetLeft - this.cards[0].offsetLeft : 0;
+    }
+
+    goTo(index, { animate = true, announce = true } = {}) {
+        const maxIndex = this.getMaxIndex();
+        const previousIndex = this.currentIndex;
+        this.currentIndex = Math.max(0, Math.min(index, maxIndex));
+
+        this.track.style.transition = animate ? '' : 'none';
+        this.track.style.transform = `translateX(${-this.getOffset(this.currentIndex)}px)`;
+
+        // Let the jump apply before turning transitions back on
+        if (!animate) {
+            void this.track.offsetWidth;
+            this.track.style.transition = '';
+        }
+
+        const lastVisible = this.currentIndex + this.cardsToShow - 1;
+        this.cards.forEach((card, i) => {
+            const visible = i >= this.currentIndex && i <= lastVisible;
+            card.setAttribute('aria-hidden', String(!visible));
+        });
+
+        this.dotsContainer?.querySelectorAll('.testimonial-dot').forEach((dot, i) => {
+            if (i === this.currentIndex) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+
+        // Announce moves the visitor made, not the autoplay ones
+        if (announce && this.status) {
+            const last = Math.min(lastVisible, this.cards.length - 1) + 1;
+            this.status.textContent = last > this.currentIndex + 1
+                ? i18n.t('testimonials.showingRange', { from: this.currentIndex + 1, to: last, total: this.cards.length })
+                : i18n.t('testimonials.showing', { index: this.currentIndex + 1, total: this.cards.length });
+        }
+
+        if (announce && this.currentIndex !== previousIndex) {
+            analytics.track('testimonial_navigate', { from: previousIndex, to: this.currentIndex });
+        }
+
+        this.restartTimer();
+    }
+
+    // Wraps around at either end
+    next(options) {
+        this.goTo(this.currentIndex >= this.getMaxIndex() ? 0 : this.currentIndex + 1, options);
+    }
+
+    prev(options) {
+        this.goTo(this.currentIndex <= 0 ? this.getMaxIndex() : this.currentIndex - 1, options);
+    }
+
+    setPaused(reason, paused) {
+        if (paused) {
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
+        }
+
+        this.updatePlayButton();
+        this.restartTimer();
+    }
+
+    updatePlayButton() {
+        if (!this.playBtn) return;
+
+        const userPaused = this.pauseReasons.has('user');
+        this.playBtn.hidden = this.pauseReasons.has('disabled') || this.pauseReasons.has('reduced-motion');
+        this.playBtn.setAttribute('aria-label', i18n.t(userPaused ? 'testimonials.play' : 'testimonials.pause'));
+        this.playBtn.innerHTML = `<i class="fas fa-${userPaused ? 'play' : 'pause'}"></i>`;
+    }
+
+    restartTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // Screen readers aren't interrupted while slides change by themselves
+        const playing = this.pauseReasons.size === 0;
+        this.track.setAttribute('aria-live', playing ? 'off' : 'polite');
+
+        if (playing) {
+            this.timer = setTimeout(() => this.next({ announce: false }), this.options.interval);
+        }
+    }
+
+    // Drag with the mouse, or swipe on touch; a quick flick carries on to further cards
+    bindDrag() {
+        let drag = null;
+
+        this.track.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+
+            drag = {
+                id: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                lastX: e.clientX,
+                lastTime: e.timeStamp,
+                velocity: 0,
+                base: -this.getOffset(this.currentIndex),
+                moved: false
+            };
+
+            this.setPaused('drag', true);
+        });
+
+        this.track.addEventListener('pointermove', (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+
+            const dx = e.clientX - drag.startX;
+
+            // Leave vertical swipes to the page
+            if (!drag.moved) {
+                if (Math.abs(dx) < 5 || Math.abs(dx) < Math.abs(e.clientY - drag.startY)) return;
+
+                drag.moved = true;
+                this.track.setPointerCapture?.(e.pointerId);
+                this.track.classList.add('dragging');
+                this.track.style.transition = 'none';
+            }
+
+            const elapsed = e.timeStamp - drag.lastTime;
+            if (elapsed > 0) drag.velocity = (e.clientX - drag.lastX) / elapsed;
+            drag.lastX = e.clientX;
+            drag.lastTime = e.timeStamp;
+
+            this.track.style.transform = `translateX(${drag.base + dx}px)`;
+        });
+
+        const end = (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+
+            const { moved, startX, velocity } = drag;
+            drag = null;
+            this.track.classList.remove('dragging');
+            this.setPaused('drag', false);
+
+            if (!moved) return;
+
+            const dx = e.clientX - startX;
+            const travel = dx + velocity * this.options.momentum;
+            const step = this.getOffset(1) || this.track.offsetWidth;
+
+            if (Math.abs(travel) < this.options.swipeThreshold) {
+                this.goTo(this.currentIndex);
+                return;
+            }
+
+            // At least one card in the direction of the swipe, more for a fast flick
+            const cards = Math.max(1, Math.round(Math.abs(travel) / step));
+            this.goTo(this.currentIndex + (travel < 0 ? cards : -cards));
+        };
+
+        // On the document, as the pointer isn't captured until it moves and may be let go off the track
+        document.addEventListener('pointerup', end);
+        document.addEventListener('pointercancel', end);
+        this.track.addEventListener('lostpointercapture', end);
+    }
+}
+
+// Initialize testimonials carousel
+if (elements.testimonialsTrack) {
+    new TestimonialsCarousel(elements.testimonialsTrack);
+}
+
+// ===== FAQ ACCORDION =====
+const FAQ_SOURCE = 'data/faq.json';
+
+// Only one answer open at a time unless the data or the caller says otherwise
+const FAQ_ALLOW_MULTIPLE = false;
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+// "When should I book?" -> "when-should-i-book"
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Wraps each search term found in the text in <mark>, escaping everything else
+function highlightTerms(text, terms) {
+    if (!terms.length) return escapeHtml(text);
+
+    // Splitting on a capturing group leaves the matches at the odd positions
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, index) => index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+// The questions already in the page, used when faq.json can't be loaded
+function readFaqMarkup(container) {
+    return Array.from(container.querySelectorAll('.accordion-item')).map(item => {
+        const question = item.querySelector('.accordion-header span')?.textContent.trim() || '';
+
+        return {
+            id: slugify(question),
+            question,
+            answer: item.querySelector('.accordion-content')?.textContent.replace(/\s+/g, ' ').trim() || '',
+            open: item.classList.contains('active')
+        };
+    });
+}
+
+class FaqAccordion {
+    constructor(container, { source = FAQ_SOURCE, allowMultiple } = {}) {
+        this.container = container;
+        this.source = source;
+        this.allowMultiple = allowMultiple;
+        this.searchInput = document.getElementById('faq-search');
+        this.emptyMessage = document.getElementById('faq-empty');
+        this.status = document.getElementById('faq-status');
+        this.items = readFaqMarkup(container);
+        this.terms = [];
+
+        this.ready = this.init();
+    }
+
+    async init() {
+        this.container.addEventListener('click', (e) => {
+            const header = e.target.closest('.accordion-header');
+            if (header) this.toggle(header.closest('.accordion-item'), { updateUrl: true });
+        });
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.searchInput?.addEventListener('input', () => this.search(this.searchInput.value));
+        this.searchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.searchInput.value) {
+                this.searchInput.value = '';
+                this.search('');
+            }
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash());
+
+        // Re-render in the new language, keeping the search and the open answers
+        i18n.onChange(() => this.search(this.searchInput?.value || ''));
+
+        try {
+            const response = await fetch(this.source, {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) throw new Error(`FAQ request failed (${response.status})`);
+
+            const data = await response.json();
+            this.items = data.items.map(item => ({ ...item, id: item.id || slugify(item.question) }));
+            this.allowMultiple ??= data.allowMultiple;
+        } catch (error) {
+            console.warn('Could not load FAQ data, showing the built-in questions', error);
+        }
+
+        this.allowMultiple ??= FAQ_ALLOW_MULTIPLE;
+        this.render();
+
+        // The questions didn't exist when the page first jumped to the fragment
+        this.openFromHash();
+    }
+
+    // The questions in the current language; translations are keyed like "faq.when-to-book.question"
+    getItems() {
+        return this.items.map(item => ({
+            ...item,
+            question: i18n.find(`faq.${item.id}.question`) ?? item.question,
+            answer: i18n.find(`faq.${item.id}.answer`) ?? item.answer
+        }));
+    }
+
+    render() {
+        this.container.innerHTML = this.getItems().map(item => `
+            <div class="accordion-item" id="faq-${item.id}" data-id="${item.id}">
+                <h3 class="accordion-title">
+                    <button class="accordion-header" id="faq-${item.id}-header" aria-expanded="false"
+                        aria-controls="faq-${item.id}-panel">
+                        <span>${highlightTerms(item.question, this.terms)}</span>
+                        <i class="fas fa-plus" aria-hidden="true"></i>
+                    </button>
+                </h3>
+                <div class="accordion-content" id="faq-${item.id}-panel" role="region"
+                    aria-labelledby="faq-${item.id}-header">
+                    <p>${highlightTerms(item.answer, this.terms)}</p>
+                </div>
+            </div>
+        `).join('');
+
+        this.items.forEach(item => {
+            if (item.open) this.setOpen(this.getElement(item.id), true);
+        });
+    }
+
+    getElement(id) {
+        const element = document.getElementById(`faq-${id}`);
+        return element && this.container.contains(element) ? element : null;
+    }
+
+    getHeaders() {
+        return Array.from(this.container.querySelectorAll('.accordion-item:not([hidden]) .accordion-header'));
+    }
+
+    setOpen(item, open) {
+        if (!item) return;
+
+        const content = item.querySelector('.accordion-content');
+        item.classList.toggle('active', open);
+        item.querySelector('.accordion-header').setAttribute('aria-expanded', String(open));
+
+        // Sized to the answer, so long ones aren't cut off
+        content.style.maxHeight = open ? `${content.scrollHeight}px` : '';
+    }
+
+    toggle(item, { updateUrl = false } = {}) {
+        const open = !item.classList.contains('active');
+
+        // Close all items
+        if (open && !this.allowMultiple) {
+            this.container.querySelectorAll('.accordion-item.active').forEach(other => this.setOpen(other, false));
+        }
+
+        this.setOpen(item, open);
+
+        // Give the open question its own address, so it can be shared
+        if (open && updateUrl) history.replaceState(null, '', `#${item.id}`);
+    }
+
+    // Opens and scrolls to a question, from a "#faq-<id>" fragment
+    async open(id) {
+        await this.ready;
+
+        let item = this.getElement(id);
+        if (!item) return false;
+
+        // A search may be hiding it; clearing re-renders the list
+        if (item.hidden) {
+            if (this.searchInput) this.searchInput.value = '';
+            this.search('');
+            item = this.getElement(id);
+        }
+
+        if (!item.classList.contains('active')) this.toggle(item);
+        item.scrollIntoView({ behavior: motionPreferences.getScrollBehavior(), block: 'center' });
+        item.querySelector('.accordion-header').focus({ preventScroll: true });
+
+        return true;
+    }
+
+    openFromHash() {
+        const { id } = parseHashLink(location.hash);
+        if (id.startsWith('faq-')) this.open(id.slice(4));
+    }
+
+    // Shows questions containing every search term, with the matches highlighted
+    search(query) {
+        this.terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        const openIds = Array.from(this.container.querySelectorAll('.accordion-item.active'))
+            .map(item => item.dataset.id);
+        const matches = this.getItems().filter(item => {
+            const text = `${item.question} ${item.answer}`.toLowerCase();
+            return this.terms.every(term => text.includes(term));
+        }).map(item => item.id);
+
+        this.render();
+
+        this.items.forEach(item => {
+            const element = this.getElement(item.id);
+            element.hidden = !matches.includes(item.id);
+            this.setOpen(element, openIds.includes(item.id));
+        });
+
+        // Open the best match so highlighted answers are visible
+        if (this.terms.length && matches.length && !matches.some(id => openIds.includes(id))) {
+            this.toggle(this.getElement(matches[0]));
+        }
+
+        if (this.emptyMessage) this.emptyMessage.hidden = matches.length > 0;
+        if (this.status) {
+            this.status.textContent = this.terms.length
+                ? i18n.t(matches.length === 1 ? 'faq.found.one' : 'faq.found.other', { count: matches.length })
+                : '';
+        }
+    }
+
+    // WAI-ARIA accordion keys: arrows move between questions, Home/End jump to the ends
+    handleKeydown(e) {
+        if (!e.target.classList.contains('accordion-header')) return;
+
+        const headers = this.getHeaders();
+        const index = headers.indexOf(e.target);
+        let next = null;
+
+        if (e.key === 'ArrowDown') next = headers[(index + 1) % headers.length];
+        if (e.key === 'ArrowUp') next = headers[(index - 1 + headers.length) % headers.length];
+        if (e.key === 'Home') next = headers[0];
+        if (e.key === 'End') next = headers[headers.length - 1];
+
+        if (next) {
+            e.preventDefault();
+            next.focus();
+        }
+    }
+}
+
+const faqContainer = document.getElementById('faq-accordion');
+const faqAccordion = faqContainer ? new FaqAccordion(faqContainer) : null;
+
+// ===== SCROLL REVEAL ANIMATIONS =====
+const revealElements = document.querySelectorAll('.reveal-up, .reveal-left, .reveal-right');
+
+const revealObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add('revealed');
+            revealObserver.unobserve(entry.target);
+        }
+    });
+}, {
+    threshold: 0.1,
+    rootMargin: '0px 0px -50px 0px'
+});
+
+// With reduced motion everything is shown straight away
+function revealAll() {
+    revealElements.forEach(el => {
+        el.classList.add('revealed');
+        revealObserver.unobserve(el);
+    });
+}
+
+if (motionPreferences.isReduced()) {
+    revealAll();
+} else {
+    revealElements.forEach(el => revealObserver.observe(el));
+}
+
+motionPreferences.onChange(({ reduced }) => {
+    if (reduced) revealAll();
+});
+
+// ===== SMOOTH SCROLL =====
+// Handles plain "#section" links as well as "#booking?service=..." deep links
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    anchor.addEventListener('click', function (e) {
+        const href = this.getAttribute('href');
+        if (href === '#') return;
+
+        e.preventDefault();
+        followHashLink(href);
+
+        // Keep query-style links in the address bar so they can be shared
+        if (href.includes('?')) history.replaceState(null, '', href);
+    });
+});
+
+// ===== BACK TO TOP =====
+elements.backToTop?.addEventListener('click', () => {
+    window.scrollTo({
+        top: 0,
+        behavior: motionPreferences.getScrollBehavior()
+    });
+});
+
+// ===== SERVICE CATALOGUE =====
+// Durations and buffers are in minutes, prices in rupees
+const SERVICE_CATALOGUE = [
+    { name: 'Bridal Makeup', duration: 180, buffer: 30, price: { min: 15000, max: 35000 }, finishes: true },
+    { name: 'Party Makeup', duration: 75, buffer: 15, price: { min: 3000, max: 6000 }, finishes: true },
+    { name: 'Pre-wedding Makeup', duration: 90, buffer: 15, price: { min: 5000, max: 10000 }, finishes: true },
+    { name: 'Reception Makeup', duration: 150, buffer: 30, price: { min: 12000, max: 25000 }, finishes: true },
+    { name: 'Hair Styling', duration: 60, buffer: 15, price: { min: 1500, max: 4000 } },
+    { name: 'Nail Extension', duration: 90, buffer: 15, price: { min: 1200, max: 3500 } },
+    { name: 'Makeup Training', duration: 180, buffer: 0, price: { min: 8000, max: 45000 } }
+];
+
+// Finishes from the "Premium Makeup Options" cards, charged on top of a makeup service
+const MAKEUP_FINISHES = [
+    { name: 'HD Makeup', duration: 0, price: { min: 0, max: 0 } },
+    { name: 'Ultra HD Makeup', duration: 15, price: { min: 2000, max: 4000 } },
+    { name: 'Water-resistant', duration: 0, price: { min: 1000, max: 2000 } },
+    { name: 'Airbrush Makeup', duration: 30, price: { min: 3000, max: 6000 } }
+];
+
+function getService(name) {
+    return SERVICE_CATALOGUE.find(service => service.name === name) || null;
+}
+
+function getFinish(name) {
+    return MAKEUP_FINISHES.find(finish => finish.name === name) || null;
+}
+
+// Total chair time for a set of services, plus the cleanup buffer that follows it
+function getBookingDuration(serviceNames, finishName) {
+    const services = serviceNames.map(getService).filter(Boolean);
+    const finish = services.some(service => service.finishes) ? getFinish(finishName) : null;
+
+    const duration = services.reduce((total, service) => total + service.duration, 0) +
+        (finish ? finish.duration : 0);
+    const buffer = services.reduce((longest, service) => Math.max(longest, service.buffer), 0);
+
+    return { duration, buffer };
+}
+
+// 195 -> "3 hr 15 min"
+function formatDuration(minutes, language = i18n.language) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    const part = (key, count) => i18n.t(key, { count }, language);
+
+    return [hours && part('duration.hours', hours), mins && part('duration.minutes', mins)]
+        .filter(Boolean).join(' ') || part('duration.minutes', 0);
+}
+
+// Lets clients combine a main service with extra services and a makeup finish
+class ServicePicker {
+    constructor(form) {
+        this.form = form;
+        this.serviceSelect = form.querySelector('#booking-service');
+        this.finishSelect = form.querySelector('#booking-finish');
+        this.extrasContainer = form.querySelector('#booking-extras');
+        this.summary = form.querySelector('#booking-duration');
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        this.renderExtras();
+
+        this.serviceSelect?.addEventListener('change', () => this.update());
+        this.finishSelect?.addEventListener('change', () => this.update());
+        this.extrasContainer?.addEventListener('change', () => this.update());
+        this.form.addEventListener('reset', () => setTimeout(() => this.update()));
+
+        // The summary, and the slots and estimate that listen to it, follow the language
+        i18n.onChange(() => {
+            this.renderExtras();
+            this.update();
+        });
+
+        this.update();
+    }
+
+    // Re-rendered for a new language, keeping what's ticked
+    renderExtras() {
+        if (!this.extrasContainer) return;
+
+        const checked = Array.from(this.extrasContainer.querySelectorAll('input:checked'), input => input.value);
+
+        this.extrasContainer.innerHTML = SERVICE_CATALOGUE.map(service => `
+            <label class="service-extra">
+                <input type="checkbox" name="extra_services" value="${service.name}"
+                    ${checked.includes(service.name) ? 'checked' : ''}>
+                <span>${service.name} <small>${formatDuration(service.duration)}</small></span>
+            </label>
+        `).join('');
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    getSelection() {
+        const main = this.serviceSelect?.value;
+        const extras = Array.from(this.form.querySelectorAll('input[name="extra_services"]:checked'))
+            .map(input => input.value)
+            .filter(name => name !== main);
+        const services = main ? [main, ...extras] : extras;
+        const finish = this.finishSelect && !this.finishSelect.disabled ? this.finishSelect.value : '';
+
+        return {
+            services,
+            finish,
+            ...getBookingDuration(services, finish)
+        };
+    }
+
+    update() {
+        const main = this.serviceSelect?.value;
+
+        // The main service can't also be picked as an extra
+        this.form.querySelectorAll('input[name="extra_services"]').forEach(input => {
+            const isMain = input.value === main;
+            input.disabled = isMain;
+            input.closest('.service-extra')?.classList.toggle('hidden', isMain);
+            if (isMain) input.checked = false;
+        });
+
+        const selection = this.getSelection();
+
+        // A finish only applies when at least one makeup service is booked; a preselected
+        // finish is kept so it comes back once one is chosen
+        if (this.finishSelect) {
+            const needsFinish = selection.services.some(name => getService(name)?.finishes);
+            this.finishSelect.disabled = !needsFinish;
+        }
+
+        if (this.summary) {
+            this.summary.textContent = selection.duration
+                ? i18n.t('booking.estimatedTime', { duration: formatDuration(selection.duration) })
+                : '';
+        }
+
+        this.listeners.forEach(callback => callback(this.getSelection()));
+    }
+}
+
+// ===== BOOKING AVAILABILITY =====
+const AVAILABILITY_SOURCE = 'data/availability.json';
+
+// Slot length assumed when no service has been chosen yet
+const DEFAULT_BOOKING_MINUTES = 60;
+
+// Local copy of the schedule, used when the JSON source can't be reached
+const LOCAL_AVAILABILITY = {
+    leadTimeMinutes: 120,
+    closures: [],
+    holidays: [],
+    specialHours: [],
+    fullyBooked: [],
+    bookings: {},
+    serviceRules: {
+        'Makeup Training': { slots: ['11:00 AM', '2:00 PM'] }
+    }
+};
+
+// Format a Date as YYYY-MM-DD in the visitor's local time
+function toDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// "2026-12-31" + 1 -> "2027-01-01"
+function shiftDateKey(key, days) {
+    const date = parseDateKey(key);
+    return toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+}
+
+// "2:00 PM" -> minutes since midnight
+function parseTimeLabel(label) {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(String(label).trim());
+    if (!match) return NaN;
+
+    let hours = Number(match[1]) % 12;
+    if (match[3].toUpperCase() === 'PM') hours += 12;
+
+    return hours * 60 + Number(match[2]);
+}
+
+// Minutes since midnight -> "2:00 PM"
+function formatTimeLabel(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = String(minutes % 60).padStart(2, '0');
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 || 12;
+
+    return `${displayHours}:${mins} ${suffix}`;
+}
+
+// Every start time on the slot grid between opening and closing
+function getStudioSlots(hours = STUDIO.hours, interval = STUDIO.slotInterval) {
+    const slots = [];
+
+    for (let time = parseTimeLabel(hours.open); time < parseTimeLabel(hours.close); time += interval) {
+        slots.push(formatTimeLabel(time));
+    }
+
+    return slots;
+}
+
+// Fills in what the source leaves out and turns booked times into minutes
+function normalizeSchedule(data = {}) {
+    const bookings = {};
+
+    // Bookings are either a start time (one hour) or { start, end } / { start, duration }
+    Object.entries(data.bookings || {}).forEach(([dateKey, entries]) => {
+        bookings[dateKey] = entries.map(entry => {
+            const start = parseTimeLabel(typeof entry === 'string' ? entry : entry.start);
+            const end = entry.end
+                ? parseTimeLabel(entry.end)
+                : start + (entry.duration || DEFAULT_BOOKING_MINUTES);
+            return { start, end };
+        });
+    });
+
+    return {
+        leadTimeMinutes: data.leadTimeMinutes ?? 0,
+        closedWeekdays: data.closedWeekdays || STUDIO.closedWeekdays,
+        closures: data.closures || [],
+        holidays: data.holidays || [],
+        specialHours: data.specialHours || [],
+        fullyBooked: data.fullyBooked || [],
+        bookings,
+        serviceRules: data.serviceRules || {}
+    };
+}
+
+// Opening hours for one date, or why the studio is shut all day. Special hours replace the
+// regular ones for their date, and can open the studio on a weekday it's normally closed.
+function getStudioDay(schedule, dateKey) {
+    const { closedWeekdays, closures, holidays, specialHours } = schedule;
+
+    const holiday = holidays.find(h => h.date === dateKey);
+    if (holiday) return { closed: i18n.t('availability.closedFor', { name: holiday.name }) };
+
+    const closure = closures.find(c => dateKey >= c.from && dateKey <= (c.to || c.from));
+    if (closure) return { closed: closure.reason || i18n.t('availability.closedDate') };
+
+    const special = specialHours.find(h => h.date === dateKey);
+    if (special) return { hours: { open: special.open, close: special.close }, reason: special.reason || '' };
+
+    if (closedWeekdays.includes(parseDateKey(dateKey).getDay())) {
+        return { closed: i18n.t('availability.closedWeekday') };
+    }
+
+    return { hours: STUDIO.hours };
+}
+
+// Reads the schedule from a JSON file. The booking form and the opening hours badge share one
+// provider, so the file is only requested once.
+class JsonAvailabilityProvider {
+    constructor(url) {
+        this.url = url;
+        this.request = null;
+    }
+
+    load() {
+        this.request ??= this.fetchSchedule();
+        return this.request;
+    }
+
+    async fetchSchedule() {
+        const response = await fetch(this.url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Availability request failed (${response.status})`);
+        }
+
+        return response.json();
+    }
+}
+
+// Serves a schedule held in memory - used as a fallback and for local testing
+class LocalAvailabilityProvider {
+    constructor(schedule = LOCAL_AVAILABILITY) {
+        this.schedule = schedule;
+    }
+
+    async load() {
+        return this.schedule;
+    }
+}
+
+class BookingAvailability {
+    constructor(form, provider, picker = null, fallbackProvider = new LocalAvailabilityProvider()) {
+        this.form = form;
+        this.provider = provider;
+        this.picker = picker;
+        this.fallbackProvider = fallbackProvider;
+        this.dateInput = form.querySelector('#booking-date');
+        this.timeSelect = form.querySelector('#booking-time');
+        this.notice = form.querySelector('#booking-availability');
+
+        this.schedule = normalizeSchedule(LOCAL_AVAILABILITY);
+
+        this.init();
+    }
+
+    async init() {
+        this.dateInput?.addEventListener('change', () => this.refresh());
+        this.picker?.onChange(() => this.refresh());
+        // Field values are only cleared after the reset event has fired
+        this.form.addEventListener('reset', () => setTimeout(() => this.refresh()));
+        this.refresh();
+
+        try {
+            this.schedule = normalizeSchedule(await this.provider.load());
+        } catch (error) {
+            console.warn('Could not load availability, using local schedule', error);
+            this.schedule = normalizeSchedule(await this.fallbackProvider.load());
+        }
+
+        this.refresh();
+    }
+
+    getSelection() {
+        return this.picker
+            ? this.picker.getSelection()
+            : { services: [], finish: '', duration: 0, buffer: 0 };
+    }
+
+    // Start times on the grid for a date, from its special hours where it has them
+    getSlots(dateKey) {
+        return getStudioSlots(getStudioDay(this.schedule, dateKey).hours || STUDIO.hours);
+    }
+
+    // Earliest date that still has a bookable slot, starting from today at the studio
+    getMinDate(now = new Date()) {
+        const today = getStudioClock(now).dateKey;
+        const hasSlotToday = this.getSlots(today).some(slot => this.isSlotInFuture(today, slot, now));
+
+        return hasSlotToday ? today : shiftDateKey(today, 1);
+    }
+
+    isSlotInFuture(dateKey, slot, now = new Date()) {
+        const clock = getStudioClock(now);
+        if (dateKey !== clock.dateKey) return dateKey > clock.dateKey;
+
+        return parseTimeLabel(slot) >= clock.minutes + this.schedule.leadTimeMinutes;
+    }
+
+    // Why a whole date can't be booked, or null when it's open
+    getClosure(dateKey) {
+        const day = getStudioDay(this.schedule, dateKey);
+        if (day.closed) return day.closed;
+
+        if (this.schedule.fullyBooked.includes(dateKey)) return i18n.t('availability.fullyBooked');
+
+        return null;
+    }
+
+    // Do the chosen services allow starting in this slot?
+    fitsServices(slot, services) {
+        return services.every(service => {
+            const rule = this.schedule.serviceRules[service];
+            if (!rule) return true;
+
+            if (rule.slots && !rule.slots.includes(slot)) return false;
+            if (rule.latestStart && parseTimeLabel(slot) > parseTimeLabel(rule.latestStart)) return false;
+
+            return true;
+        });
+    }
+
+    isSlotAvailable(dateKey, slot, selection = this.getSelection(), now = new Date()) {
+        if (!dateKey || this.getClosure(dateKey)) return false;
+        if (!this.isSlotInFuture(dateKey, slot, now)) return false;
+
+        const { hours } = getStudioDay(this.schedule, dateKey);
+        const start = parseTimeLabel(slot);
+        const duration = selection.duration || DEFAULT_BOOKING_MINUTES;
+
+        // The appointment has to start after opening and finish before closing time
+        if (start < parseTimeLabel(hours.open) || start + duration > parseTimeLabel(hours.close)) return false;
+
+        // ...and, including cleanup, must not run into another booking
+        const end = start + duration + (selection.buffer || 0);
+        const taken = this.schedule.bookings[dateKey] || [];
+        if (taken.some(booking => start < booking.end && end > booking.start)) return false;
+
+        return this.fitsServices(slot, selection.services || []);
+    }
+
+    getAvailableSlots(dateKey, selection = this.getSelection(), now = new Date()) {
+        return this.getSlots(dateKey).filter(slot => this.isSlotAvailable(dateKey, slot, selection, now));
+    }
+
+    getNextAvailableDate(fromKey, selection = this.getSelection(), limitDays = 90) {
+        for (let i = 1; i <= limitDays; i++) {
+            const candidate = shiftDateKey(fromKey, i);
+            if (this.getAvailableSlots(candidate, selection).length) return candidate;
+        }
+
+        return null;
+    }
+
+    isBookable(dateKey, slot, selection = this.getSelection()) {
+        return this.isSlotAvailable(dateKey, slot, selection);
+    }
+
+    refresh() {
+        if (!this.dateInput || !this.timeSelect) return;
+
+        this.dateInput.min = this.getMinDate();
+
+        const dateKey = this.dateInput.value;
+        const selection = this.getSelection();
+        const available = dateKey ? this.getAvailableSlots(dateKey, selection) : [];
+        const current = this.timeSelect.value;
+
+        // Values stay as "2:00 PM" for the studio; only the text follows the language
+        this.timeSelect.innerHTML =
+            `<option value="">${i18n.t(dateKey ? 'availability.selectTime' : 'availability.chooseDate')}</option>` +
+            available.map(slot => `<option value="${slot}">${i18n.formatTime(slot)}</option>`).join('');
+
+        // Keep the selection only if it is still on offer
+        this.timeSelect.value = available.includes(current) ? current : '';
+
+        this.updateNotice(dateKey, selection, available);
+    }
+
+    updateNotice(dateKey, selection, available) {
+        let message = '';
+
+        if (dateKey) {
+            const closure = this.getClosure(dateKey) ||
+                (dateKey < this.dateInput.min ? i18n.t('availability.pastDate') : null);
+
+            if (closure) {
+                message = closure;
+            } else if (!available.length) {
+                message = selection.services.length
+                    ? i18n.t('availability.noSlot', { duration: formatDuration(selection.duration) })
+                    : i18n.t('availability.fullyBooked');
+            }
+
+            if (message) {
+                const next = this.getNextAvailableDate(dateKey, selection);
+                if (next) {
+                    message = i18n.t('availability.next', {
+                        message,
+                        date: i18n.formatDate(parseDateKey(next), {
+                            weekday: 'short',
+                            day: 'numeric',
+                            month: 'short',
+                            year: 'numeric'
+                        })
+                    });
+                }
+            }
+        }
+
+        this.dateInput.setCustomValidity(message);
+
+        if (this.notice) {
+            this.notice.textContent = message;
+            this.notice.classList.toggle('visible', Boolean(message));
+        }
+    }
+}
+
+const servicePicker = elements.bookingForm ? new ServicePicker(elements.bookingForm) : null;
+
+const availabilityProvider = new JsonAvailabilityProvider(AVAILABILITY_SOURCE);
+
+const bookingAvailability = elements.bookingForm
+    ? new BookingAvailability(elements.bookingForm, availabilityProvider, servicePicker)
+    : null;
+
+// ===== STUDIO STATUS =====
+// "Closing soon" shows for this long before closing time
+const STATUS_CLOSING_SOON_MINUTES = 60;
+
+// How often the badge is brought up to date
+const STATUS_REFRESH_MS = 60 * 1000;
+
+// How far ahead to look for the next opening, e.g. across the New Year break
+const STATUS_LOOKAHEAD_DAYS = 30;
+
+const STATUS_LABELS = {
+    open: 'status.open',
+    closing: 'status.closingSoon',
+    closed: 'status.closed'
+};
+
+// Live "Open now" / "Opens at" badges, worked out in studio time so visitors abroad see when the
+// studio is actually open. Holidays, closures and special hours come from the availability data.
+class StudioStatus {
+    constructor(badges, provider, fallbackProvider = new LocalAvailabilityProvider()) {
+        this.badges = Array.from(badges);
+        this.provider = provider;
+        this.fallbackProvider = fallbackProvider;
+        this.schedule = normalizeSchedule(LOCAL_AVAILABILITY);
+        this.timer = null;
+
+        if (this.badges.length) this.init();
+    }
+
+    async init() {
+        this.render();
+
+        this.timer = setInterval(() => this.render(), STATUS_REFRESH_MS);
+        // Timers are throttled in background tabs, so catch up when the page is shown again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.render();
+        });
+        i18n.onChange(() => this.render());
+
+        try {
+            this.schedule = normalizeSchedule(await this.provider.load());
+        } catch (error) {
+            console.warn('Could not load availability for opening hours, using local schedule', error);
+            this.schedule = normalizeSchedule(await this.fallbackProvider.load());
+        }
+
+        this.render();
+    }
+
+    // { open, closingSoon, closes } while open; { open: false, opens, opensOn } otherwise.
+    // note explains a holiday or special hours today.
+    getStatus(now = new Date()) {
+        const { dateKey, minutes } = getStudioClock(now);
+        const today = getStudioDay(this.schedule, dateKey);
+        const note = today.closed ||
+            (today.reason ? i18n.t('status.specialHours', { reason: today.reason }) : '');
+
+        if (today.hours) {
+            const open = parseTimeLabel(today.hours.open);
+            const close = parseTimeLabel(today.hours.close);
+
+            if (minutes >= open && minutes < close) {
+                return {
+                    open: true,
+                    closingSoon: close - minutes <= STATUS_CLOSING_SOON_MINUTES,
+                    closes: today.hours.close,
+                    note
+                };
+            }
+
+            if (minutes < open) return { open: false, opens: today.hours.open, opensOn: dateKey, note };
+        }
+
+        for (let i = 1; i <= STATUS_LOOKAHEAD_DAYS; i++) {
+            const candidate = shiftDateKey(dateKey, i);
+            const day = getStudioDay(this.schedule, candidate);
+            if (day.hours) return { open: false, opens: day.hours.open, opensOn: candidate, note };
+        }
+
+        return { open: false, note };
     }
 
-    lastScroll = currentScroll;
-});
+    describe(status, today) {
+        if (status.open) return i18n.t('status.closesAt', { time: i18n.formatTime(status.closes) });
+        if (!status.opens) return '';
+
+        const time = i18n.formatTime(status.opens);
+        if (status.opensOn === today) return i18n.t('status.opensAt', { time });
+        if (status.opensOn === shiftDateKey(today, 1)) return i18n.t('status.opensTomorrow', { time });
+
+        return i18n.t('status.opensOn', {
+            time,
+            day: i18n.formatDate(parseDateKey(status.opensOn), { weekday: 'long', day: 'numeric', month: 'long' })
+        });
+    }
+
+    render(now = new Date()) {
+        const status = this.getStatus(now);
+        const state = status.open ? (status.closingSoon ? 'closing' : 'open') : 'closed';
+        const label = i18n.t(STATUS_LABELS[state]);
+        const detail = this.describe(status, getStudioClock(now).dateKey);
+
+        this.badges.forEach(badge => {
+            badge.dataset.state = state;
+            badge.innerHTML = `
+                <span class="studio-status-label">${escapeHtml(label)}</span>
+                ${detail ? `<span class="studio-status-detail">${escapeHtml(detail)}</span>` : ''}
+                ${status.note ? `<span class="studio-status-note">${escapeHtml(status.note)}</span>` : ''}
+            `;
+            badge.hidden = false;
+        });
+    }
+}
+
+const studioStatus = new StudioStatus(document.querySelectorAll('[data-studio-status]'), availabilityProvider);
+
+// ===== QUOTE BUILDER =====
+// Makeup for each family member booked along with the bride
+const FAMILY_MEMBER_PRICE = { min: 2500, max: 4000 };
+
+// Zones with a charge are labelled by the quote.zone.<value> strings
+const TRAVEL_ZONES = [
+    { value: 'studio', price: { min: 0, max: 0 } },
+    { value: 'siliguri', price: { min: 1000, max: 1500 } },
+    { value: 'nearby', price: { min: 2000, max: 3000 } },
+    { value: 'outstation', price: { min: 5000, max: 8000 } }
+];
+
+// Wedding season months (1-12) and the surcharge applied to the subtotal
+const PEAK_SEASON = {
+    months: [11, 12, 1, 2],
+    surcharge: 0.15
+};
+
+const currencyFormatter = new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+});
+
+function formatPriceRange({ min, max }) {
+    if (min === max) return currencyFormatter.format(min);
+    return `${currencyFormatter.format(min)} - ${currencyFormatter.format(max)}`;
+}
+
+function isPeakSeason(dateKey) {
+    if (!dateKey) return false;
+    return PEAK_SEASON.months.includes(parseDateKey(dateKey).getMonth() + 1);
+}
+
+// Price every part of a booking; returns the line items and the total range. Labels are in the
+// given language, so the copy sent to the studio can stay in English.
+function buildQuote({ services = [], finish = '', familyMembers = 0, location = 'studio', date = '' },
+    language = i18n.language) {
+    const t = (key, params) => i18n.t(key, params, language);
+    const lines = services
+        .map(getService)
+        .filter(Boolean)
+        .map(service => ({ label: service.name, ...service.price }));
+
+    const finishOption = services.some(name => getService(name)?.finishes) ? getFinish(finish) : null;
+    if (finishOption && finishOption.price.max) {
+        lines.push({ label: t('quote.finish', { name: finishOption.name }), ...finishOption.price });
+    }
+
+    if (familyMembers > 0) {
+        lines.push({
+            label: t('quote.family', { count: familyMembers }),
+            min: FAMILY_MEMBER_PRICE.min * familyMembers,
+            max: FAMILY_MEMBER_PRICE.max * familyMembers
+        });
+    }
+
+    const zone = TRAVEL_ZONES.find(z => z.value === location);
+    if (zone && zone.price.max) {
+        lines.push({ label: t('quote.travel', { zone: t(`quote.zone.${zone.value}`) }), ...zone.price });
+    }
+
+    const subtotal = lines.reduce((sum, line) => ({
+        min: sum.min + line.min,
+        max: sum.max + line.max
+    }), { min: 0, max: 0 });
+
+    if (lines.length && isPeakSeason(date)) {
+        lines.push({
+            label: t('quote.peak', { percent: Math.round(PEAK_SEASON.surcharge * 100) }),
+            min: Math.round(subtotal.min * PEAK_SEASON.surcharge),
+            max: Math.round(subtotal.max * PEAK_SEASON.surcharge)
+        });
+    }
+
+    const total = lines.reduce((sum, line) => ({
+        min: sum.min + line.min,
+        max: sum.max + line.max
+    }), { min: 0, max: 0 });
+
+    return { lines, total };
+}
+
+class QuoteBuilder {
+    constructor(form, picker) {
+        this.form = form;
+        this.picker = picker;
+        this.panel = form.querySelector('#booking-quote');
+        this.familyInput = form.querySelector('#booking-family');
+        this.locationSelect = form.querySelector('#booking-location');
+        this.dateInput = form.querySelector('#booking-date');
+
+        this.init();
+    }
+
+    init() {
+        this.picker?.onChange(() => this.render());
+        [this.familyInput, this.locationSelect, this.dateInput].forEach(input => {
+            input?.addEventListener('input', () => this.render());
+            input?.addEventListener('change', () => this.render());
+        });
+        this.form.addEventListener('reset', () => setTimeout(() => this.render()));
+
+        this.render();
+    }
+
+    getQuote(language) {
+        const { services, finish } = this.picker
+            ? this.picker.getSelection()
+            : { services: [], finish: '' };
+
+        return buildQuote({
+            services,
+            finish,
+            familyMembers: Math.max(0, parseInt(this.familyInput?.value, 10) || 0),
+            location: this.locationSelect?.value || 'studio',
+            date: this.dateInput?.value
+        }, language);
+    }
+
+    render() {
+        if (!this.panel) return;
+
+        const { lines, total } = this.getQuote();
+
+        if (!lines.length) {
+            this.panel.innerHTML = `<p class="quote-empty">${i18n.t('quote.empty')}</p>`;
+            return;
+        }
+
+        this.panel.innerHTML = `
+            <h4 class="quote-title">${i18n.t('quote.title')}</h4>
+            <ul class="quote-lines">
+                ${lines.map(line => `
+                    <li><span>${line.label}</span><span>${formatPriceRange(line)}</span></li>
+                `).join('')}
+            </ul>
+            <p class="quote-total"><span>${i18n.t('quote.total')}</span><strong>${formatPriceRange(total)}</strong></p>
+            <p class="quote-note">${i18n.t('quote.note')}</p>
+        `;
+    }
+
+    // Adds the estimate to the data sent with the booking request
+    appendTo(formData) {
+        const { lines, total } = this.getQuote(DEFAULT_LANGUAGE);
+        if (!lines.length) return;
+
+        formData.set('estimate', formatPriceRange(total));
+        formData.set('estimate_breakdown', lines.map(line => `${line.label}: ${formatPriceRange(line)}`).join('\n'));
+    }
+}
+
+const quoteBuilder = elements.bookingForm ? new QuoteBuilder(elements.bookingForm, servicePicker) : null;
+
+// ===== FORM HANDLING =====
+function showToast(message = i18n.t('toast.messageSent')) {
+    elements.toast.querySelector('span').textContent = message;
+    elements.toast.classList.add('show');
+
+    setTimeout(() => {
+        elements.toast.classList.remove('show');
+    }, 3000);
+}
+
+// ===== FORM VALIDATION =====
+// How far ahead appointments can be requested
+const BOOKING_HORIZON_DAYS = 365;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepts 10-digit mobile numbers with or without +91 / 91 / 0 and returns "+91 XXXXX XXXXX"
+function normalizeIndianPhone(value) {
+    let digits = String(value).replace(/\D/g, '');
+
+    if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+
+    if (!/^[6-9]\d{9}$/.test(digits)) return null;
+
+    return `+91 ${digits.slice(0, 5)} ${digits.slice(5)}`;
+}
+
+// Returns the message for the first rule the field breaks, or '' when it's valid
+function getFieldError(field, now = new Date()) {
+    const value = field.value.trim();
+
+    if (field.required && !value) {
+        return i18n.t(field.tagName === 'SELECT' ? 'validation.choose' : 'validation.required');
+    }
+
+    if (!value) return '';
+
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        return i18n.t('validation.email');
+    }
+
+    if (field.type === 'tel' && !normalizeIndianPhone(value)) {
+        return i18n.t('validation.phone');
+    }
+
+    if (field.type === 'number' && (field.validity.rangeUnderflow || field.validity.rangeOverflow)) {
+        return i18n.t('validation.range', { min: field.min, max: field.max });
+    }
+
+    if (field.type === 'date') {
+        const today = getStudioClock(now).dateKey;
+        const horizon = shiftDateKey(today, BOOKING_HORIZON_DAYS);
+
+        if (value < today) return i18n.t('validation.pastDate');
+        if (value > horizon) return i18n.t('validation.horizon', { days: BOOKING_HORIZON_DAYS });
+    }
+
+    if (field.name === 'time') {
+        const minutes = parseTimeLabel(value);
+        if (!(minutes >= parseTimeLabel(STUDIO.hours.open) && minutes < parseTimeLabel(STUDIO.hours.close))) {
+            return i18n.t('validation.hours', {
+                open: i18n.formatTime(STUDIO.hours.open),
+                close: i18n.formatTime(STUDIO.hours.close)
+            });
+        }
+    }
+
+    // Messages set by other modules, e.g. a fully booked date
+    if (field.validity.customError) return field.validationMessage;
+
+    return '';
+}
+
+class FormValidator {
+    constructor(form) {
+        this.form = form;
+        this.fields = Array.from(form.querySelectorAll(
+            'input:not([type="hidden"]):not([type="checkbox"]), select, textarea'
+        )).filter(field => !field.closest('.form-honeypot'));
+
+        this.init();
+    }
+
+    init() {
+        // Our messages replace the browser's validation bubbles
+        this.form.noValidate = true;
+
+        this.fields.forEach(field => {
+            this.getErrorElement(field);
+
+            field.addEventListener('blur', () => {
+                field.dataset.touched = 'true';
+                this.validateField(field);
+            });
+
+            // Once a field has been visited, clear its error as soon as it is fixed
+            const revalidate = () => {
+                if (field.dataset.touched) this.validateField(field);
+            };
+            field.addEventListener('input', revalidate);
+            field.addEventListener('change', revalidate);
+        });
+
+        this.form.addEventListener('reset', () => {
+            this.fields.forEach(field => {
+                delete field.dataset.touched;
+                this.showError(field, '');
+            });
+        });
+
+        // Messages already on screen switch language too
+        i18n.onChange(() => {
+            this.fields.filter(field => field.dataset.touched).forEach(field => this.validateField(field));
+        });
+    }
+
+    // Creates the inline message element and links it to the field
+    getErrorElement(field) {
+        const id = `${field.id}-error`;
+        let error = document.getElementById(id);
+
+        if (!error) {
+            error = document.createElement('p');
+            error.className = 'field-error';
+            error.id = id;
+            error.setAttribute('aria-live', 'polite');
+            field.insertAdjacentElement('afterend', error);
+
+            const describedBy = field.getAttribute('aria-describedby');
+            field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${id}` : id);
+        }
+
+        return error;
+    }
+
+    showError(field, message) {
+        const error = this.getErrorElement(field);
+        error.textContent = message;
+
+        field.setAttribute('aria-invalid', message ? 'true' : 'false');
+        field.closest('.form-group')?.classList.toggle('invalid', Boolean(message));
+    }
+
+    validateField(field) {
+        const message = getFieldError(field);
+
+        // Store phone numbers in one consistent format
+        if (!message && field.type === 'tel' && field.value.trim()) {
+            field.value = normalizeIndianPhone(field.value);
+        }
+
+        this.showError(field, message);
+        return !message;
+    }
+
+    validate() {
+        const invalid = this.fields.filter(field => !this.validateField(field));
+
+        invalid.forEach(field => {
+            field.dataset.touched = 'true';
+        });
+
+        invalid[0]?.focus();
+        return invalid.length === 0;
+    }
+}
+
+const formValidators = new WeakMap();
+
+[elements.bookingForm, elements.contactForm].forEach(form => {
+    if (form) formValidators.set(form, new FormValidator(form));
+});
+
+// Validates every field, shows the messages and moves focus to the first problem
+function validateForm(form) {
+    const validator = formValidators.get(form) || new FormValidator(form);
+    formValidators.set(form, validator);
+
+    const valid = validator.validate();
+
+    // Which fields tripped people up - names only, not what was typed
+    if (!valid) {
+        const fields = validator.fields
+            .filter(field => field.getAttribute('aria-invalid') === 'true')
+            .map(field => field.name);
+        analytics.track('form_invalid', { form: form.id, fields });
+    }
+
+    return valid;
+}
+
+// ===== FORM SUBMISSION =====
+const FORMSPREE_ENDPOINT = 'https://formspree.io/f/xwpkjbvz';
+
+// Adapters (see form-submission.js) are tried in order until one succeeds
+const FORM_SUBMISSION_CONFIG = {
+    'booking-form': {
+        subject: `New Appointment Request - ${STUDIO.name}`,
+        adapters: [
+            { type: 'formspree', endpoint: FORMSPREE_ENDPOINT },
+            { type: 'whatsapp', phone: STUDIO.whatsapp },
+            { type: 'mailto', email: STUDIO.email }
+        ]
+    },
+    'contact-form': {
+        subject: `New Contact Form Message - ${STUDIO.name}`,
+        adapters: [
+            { type: 'formspree', endpoint: FORMSPREE_ENDPOINT },
+            { type: 'mailto', email: STUDIO.email }
+        ]
+    }
+};
+
+// ===== OFFLINE SUBMISSION QUEUE =====
+const SUBMISSION_QUEUE_KEY = 'tms-submission-queue';
+const SUBMISSION_SENT_KEY = 'tms-submission-sent';
+
+// Queued requests older than this are dropped rather than sent late
+const SUBMISSION_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+
+// Remember this many delivered ids so a replay never sends twice
+const SUBMISSION_SENT_LIMIT = 50;
+
+const SUBMISSION_RETRY_DELAYS = [30000, 60000, 120000, 300000];
+
+// Delivery attempts per request before giving up - with the delays above, about an hour and a
+// half of trying while online
+const SUBMISSION_MAX_ATTEMPTS = 20;
+
+class SubmissionQueue {
+    constructor(send, storage = window.localStorage) {
+        this.send = send;
+        this.storage = storage;
+        this.flushing = false;
+        this.retryTimer = null;
+        this.retryCount = 0;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush());
+
+        // Another tab may have queued or delivered something
+        window.addEventListener('storage', (e) => {
+            if (e.key === SUBMISSION_QUEUE_KEY) this.notify();
+        });
+
+        this.prune();
+        this.flush();
+    }
+
+    read(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Could not save the submission queue', error);
+        }
+    }
+
+    getPending(formId) {
+        const entries = this.read(SUBMISSION_QUEUE_KEY);
+        return formId ? entries.filter(entry => entry.formId === formId) : entries;
+    }
+
+    // Identical content from the same form always gets the same id
+    createId(formId, fields) {
+        return hashString(formId + JSON.stringify(fields));
+    }
+
+    enqueue(formId, fields) {
+        const id = this.createId(formId, fields);
+        const entries = this.getPending();
+
+        if (!entries.some(entry => entry.id === id) && !this.isSent(id)) {
+            entries.push({ id, formId, fields, createdAt: Date.now(), attempts: 0 });
+            this.write(SUBMISSION_QUEUE_KEY, entries);
+        }
+
+        this.notify();
+        return id;
+    }
+
+    remove(id) {
+        this.write(SUBMISSION_QUEUE_KEY, this.getPending().filter(entry => entry.id !== id));
+    }
+
+    // Counts a failed delivery; returns the entry's attempts so far
+    recordAttempt(id) {
+        const entries = this.getPending();
+        const entry = entries.find(item => item.id === id);
+        if (!entry) return 0;
+
+        entry.attempts = (entry.attempts || 0) + 1;
+        this.write(SUBMISSION_QUEUE_KEY, entries);
+        return entry.attempts;
+    }
+
+    isSent(id) {
+        return this.read(SUBMISSION_SENT_KEY).includes(id);
+    }
+
+    markSent(id) {
+        const sent = this.read(SUBMISSION_SENT_KEY).filter(sentId => sentId !== id);
+        sent.push(id);
+        this.write(SUBMISSION_SENT_KEY, sent.slice(-SUBMISSION_SENT_LIMIT));
+    }
+
+    prune(now = Date.now()) {
+        const fresh = this.getPending().filter(entry => now - entry.createdAt < SUBMISSION_MAX_AGE);
+        this.write(SUBMISSION_QUEUE_KEY, fresh);
+    }
+
+    async flush() {
+        if (this.flushing || !navigator.onLine || !this.getPending().length) return;
+
+        this.flushing = true;
+
+        try {
+            // Only one tab at a time may deliver the queue
+            if (navigator.locks) {
+                await navigator.locks.request(SUBMISSION_QUEUE_KEY, () => this.deliver());
+            } else {
+                await this.deliver();
+            }
+        } finally {
+            this.flushing = false;
+            this.notify();
+        }
+    }
+
+    async deliver() {
+        let failed = false;
+
+        for (const entry of this.getPending()) {
+            if (this.isSent(entry.id)) {
+                this.remove(entry.id);
+                continue;
+            }
+
+            try {
+                await this.send(entry);
+                this.markSent(entry.id);
+                this.remove(entry.id);
+                this.listeners.forEach(callback => callback('sent', entry));
+            } catch (error) {
+                if (error.retryable && this.recordAttempt(entry.id) < SUBMISSION_MAX_ATTEMPTS) {
+                    failed = true;
+                } else {
+                    // Rejected outright, or out of attempts - retrying won't help
+                    this.remove(entry.id);
+                    this.listeners.forEach(callback => callback('failed', entry));
+                }
+            }
+        }
+
+        this.scheduleRetry(failed);
+    }
+
+    scheduleRetry(failed) {
+        clearTimeout(this.retryTimer);
+
+        if (!failed) {
+            this.retryCount = 0;
+            return;
+        }
+
+        const delay = SUBMISSION_RETRY_DELAYS[Math.min(this.retryCount, SUBMISSION_RETRY_DELAYS.length - 1)];
+        this.retryCount++;
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback('change'));
+    }
+}
+
+// Replays go through the background adapters only - nothing opens without the visitor
+const submissionQueue = new SubmissionQueue(entry =>
+    submitFields(entry.formId, [...entry.fields, ['_submission_id', entry.id]], { interactive: false })
+);
+
+// Shows "queued" on any form with requests waiting to go out
+function updateQueueStatus() {
+    [elements.bookingForm, elements.contactForm].forEach(form => {
+        const status = form?.querySelector('.form-status');
+        if (!status) return;
+
+        const count = submissionQueue.getPending(form.id).length;
+        status.textContent = count
+            ? i18n.t(count === 1 ? 'queue.pending.one' : 'queue.pending.other', { count })
+            : '';
+        status.classList.toggle('visible', count > 0);
+    });
+}
+
+submissionQueue.onChange((type) => {
+    if (type === 'sent') showToast(i18n.t('toast.queueSent'));
+    if (type === 'failed') showToast(i18n.t('toast.queueFailed'));
+    updateQueueStatus();
+});
+
+updateQueueStatus();
+i18n.onChange(updateQueueStatus);
+
+// ===== SPAM PROTECTION =====
+// The checks live in spam-guard.js; here they're pointed at the page's forms and storage
+const spamGuard = new SpamGuard({ storage: window.localStorage });
+
+[elements.bookingForm, elements.contactForm].forEach(form => {
+    if (form) spamGuard.watch(form);
+});
+
+// ===== BOOKING CONFIRMATION =====
+// Booking date + time in the studio's time zone -> Date
+function toStudioDate(dateKey, timeLabel) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const minutes = parseTimeLabel(timeLabel);
+
+    return new Date(Date.UTC(year, month - 1, day, 0, minutes - STUDIO.utcOffsetMinutes));
+}
+
+// Date -> 20261121T053000Z
+function formatUtcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Short code the client can quote when calling, e.g. TMS-261121-3FA9
+function createBookingReference(fields) {
+    const date = (fields.find(([name]) => name === 'date')?.[1] || '').replace(/-/g, '').slice(2);
+    return `TMS-${date || toDateKey(new Date()).replace(/-/g, '').slice(2)}-${fingerprintFields(fields).slice(0, 4).toUpperCase()}`;
+}
+
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes are continued on the next line with a leading space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function buildIcsEvent({ uid, title, description, location, start, end, now = new Date() }) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${STUDIO.name}//Booking//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatUtcStamp(now)}`,
+        `DTSTART:${formatUtcStamp(start)}`,
+        `DTEND:${formatUtcStamp(end)}`,
+        `SUMMARY:${escapeIcsText(title)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `LOCATION:${escapeIcsText(location)}`,
+        'STATUS:TENTATIVE',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function buildGoogleCalendarUrl({ title, description, location, start, end }) {
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: title,
+        dates: `${formatUtcStamp(start)}/${formatUtcStamp(end)}`,
+        details: description,
+        location,
+        ctz: 'Asia/Kolkata'
+    });
+
+    return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+// Turns the submitted booking fields into a calendar event
+function buildBookingEvent(fields) {
+    const data = Object.fromEntries(fields);
+    const services = (data.services || data.service || '').split(', ').filter(Boolean);
+    const { duration } = getBookingDuration(services, data.finish);
+    const start = toStudioDate(data.date, data.time);
+    const end = new Date(start.getTime() + (duration || DEFAULT_BOOKING_MINUTES) * 60000);
+
+    const description = [
+        `Services: ${services.join(', ')}`,
+        data.finish && `Finish: ${data.finish}`,
+        data.estimate && `Estimate: ${data.estimate}`,
+        `Reference: ${data.reference}`,
+        'This is an appointment request - the studio will call to confirm.'
+    ].filter(Boolean).join('\n');
+
+    return {
+        uid: `${data.reference}@taniazmakeupstudio`,
+        title: `${services[0] || 'Appointment'} - ${STUDIO.name}`,
+        description,
+        location: `${STUDIO.name}, ${STUDIO.address.join(', ')}`,
+        start,
+        end
+    };
+}
+
+class BookingConfirmation {
+    constructor(form, panel) {
+        this.form = form;
+        this.panel = panel;
+        this.icsUrl = null;
+    }
+
+    show(fields, { queued = false } = {}) {
+        const data = Object.fromEntries(fields);
+        const event = buildBookingEvent(fields);
+
+        if (this.icsUrl) URL.revokeObjectURL(this.icsUrl);
+        this.icsUrl = URL.createObjectURL(new Blob([buildIcsEvent(event)], { type: 'text/calendar' }));
 
-// ===== MOBILE NAVIGATION =====
-elements.navToggle?.addEventListener('click', () => {
-    elements.navMenu.classList.add('active');
-    document.body.style.overflow = 'hidden';
-});
+        const rows = [
+            ['reference', data.reference],
+            ['services', data.services || data.service],
+            ['finish', data.finish],
+            ['date', i18n.formatDate(parseDateKey(data.date))],
+            ['time', data.time && i18n.formatTime(data.time)],
+            ['duration', data.duration],
+            ['estimate', data.estimate],
+            ['studio', STUDIO.address.join(', ')]
+        ].filter(([, value]) => value);
 
-elements.navClose?.addEventListener('click', () => {
-    elements.navMenu.classList.remove('active');
-    document.body.style.overflow = 'auto';
-});
+        this.panel.innerHTML = `
+            <div class="confirmation-icon"><i class="fas ${queued ? 'fa-wifi' : 'fa-check'}"></i></div>
+            <h3 class="confirmation-title">${i18n.t(queued ? 'confirmation.savedTitle' : 'confirmation.receivedTitle')}</h3>
+            <p class="confirmation-text">${i18n.t(queued ? 'confirmation.savedText' : 'confirmation.receivedText')}</p>
+            <dl class="confirmation-details">
+                ${rows.map(([label, value]) => `<div><dt>${i18n.t(`confirmation.${label}`)}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            <div class="confirmation-actions">
+                <a href="${this.icsUrl}" download="tanias-makeup-appointment.ics" class="btn btn-primary">
+                    <i class="fas fa-calendar-plus"></i> ${i18n.t('confirmation.ics')}
+                </a>
+                <a href="${buildGoogleCalendarUrl(event)}" target="_blank" rel="noopener" class="btn btn-outline">
+                    <i class="fab fa-google"></i> ${i18n.t('confirmation.google')}
+                </a>
+            </div>
+            <button type="button" class="confirmation-back">${i18n.t('confirmation.back')}</button>
+        `;
 
-// Close menu when clicking a link
-elements.navLinks.forEach(link => {
-    link.addEventListener('click', () => {
-        elements.navMenu.classList.remove('active');
-        document.body.style.overflow = 'auto';
-    });
-});
+        this.panel.querySelector('.confirmation-back').addEventListener('click', () => this.hide());
 
-// Close menu when clicking outside
-document.addEventListener('click', (e) => {
-    if (elements.navMenu.classList.contains('active') &&
-        !elements.navMenu.contains(e.target) &&
-        !elements.navToggle.contains(e.target)) {
-        elements.navMenu.classList.remove('active');
-        document.body.style.overflow = 'auto';
+        this.form.hidden = true;
+        this.panel.hidden = false;
+        this.panel.focus();
     }
-});
 
-// ===== ACTIVE NAV LINK =====
-function updateActiveNavLink() {
-    const sections = document.querySelectorAll('section[id]');
-    const scrollY = window.pageYOffset;
+    hide() {
+        this.panel.hidden = true;
+        this.form.hidden = false;
+        this.form.querySelector('input, select, textarea')?.focus();
+    }
+}
 
-    sections.forEach(section => {
-        const sectionHeight = section.offsetHeight;
-        const sectionTop = section.offsetTop - 100;
-        const sectionId = section.getAttribute('id');
+const bookingConfirmation = elements.bookingForm && document.getElementById('booking-confirmation')
+    ? new BookingConfirmation(elements.bookingForm, document.getElementById('booking-confirmation'))
+    : null;
 
-        if (scrollY > sectionTop && scrollY <= sectionTop + sectionHeight) {
-            elements.navLinks.forEach(link => {
-                link.classList.remove('active');
-                if (link.getAttribute('href') === `#${sectionId}`) {
-                    link.classList.add('active');
-                }
-            });
-        }
-    });
-}
+// ===== DRAFT AUTOSAVE =====
+const DRAFT_KEY_PREFIX = 'tms-draft-';
 
-// ===== GALLERY LIGHTBOX =====
-class Lightbox {
-    constructor() {
-        this.lightbox = elements.lightbox;
-        this.img = elements.lightboxImg;
-        this.galleryItems = document.querySelectorAll('.gallery-item');
-        this.currentIndex = 0;
-        this.images = [];
+// Drafts older than this are thrown away instead of offered back
+const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const DRAFT_SAVE_DELAY = 500;
+
+class FormDraft {
+    constructor(form, storage = window.localStorage) {
+        this.form = form;
+        this.storage = storage;
+        this.key = `${DRAFT_KEY_PREFIX}${form.id}`;
+        this.saveTimer = null;
+        this.prompt = null;
+        this.draft = null;
 
         this.init();
     }
 
     init() {
-        // Collect all image sources
-        this.galleryItems.forEach((item, index) => {
-            const src = item.dataset.src;
-            if (src) {
-                this.images.push(src);
-                item.addEventListener('click', () => this.open(index));
-            }
+        i18n.onChange(() => {
+            if (this.prompt) this.showPrompt(this.draft);
         });
 
-        // Close button
-        this.lightbox?.querySelector('.lightbox-close')?.addEventListener('click', () => this.close());
+        // Only the visitor's own edits count - values filled in by a booking link or a restore
+        // dispatch untrusted events and shouldn't leave a draft behind
+        const scheduleSave = (e) => {
+            if (!e.isTrusted) return;
 
-        // Navigation
-        this.lightbox?.querySelector('.lightbox-prev')?.addEventListener('click', () => this.prev());
-        this.lightbox?.querySelector('.lightbox-next')?.addEventListener('click', () => this.next());
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), DRAFT_SAVE_DELAY);
+        };
 
-        // Close on background click
-        this.lightbox?.addEventListener('click', (e) => {
-            if (e.target === this.lightbox) this.close();
-        });
+        this.form.addEventListener('input', scheduleSave);
+        this.form.addEventListener('change', scheduleSave);
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (!this.lightbox?.classList.contains('active')) return;
+        // Forms are only reset once a request is sent (or queued), so the draft is done with
+        this.form.addEventListener('reset', () => this.clear());
 
-            if (e.key === 'Escape') this.close();
-            if (e.key === 'ArrowLeft') this.prev();
-            if (e.key === 'ArrowRight') this.next();
-        });
+        const draft = this.load();
+        if (draft) this.showPrompt(draft);
     }
 
-    open(index) {
-        this.currentIndex = index;
-        this.img.src = this.images[index];
-        this.lightbox.classList.add('active');
-        document.body.style.overflow = 'hidden';
-    }
+    // Everything the visitor typed, leaving out internal and trap fields
+    getValues() {
+        const values = {};
 
-    close() {
-        this.lightbox.classList.remove('active');
-        document.body.style.overflow = 'auto';
-    }
+        Array.from(this.form.elements).forEach(field => {
+            if (!field.name || field.name.startsWith('_') || field.type === 'hidden' ||
+                field.type === 'submit' || field.closest('.form-honeypot')) return;
 
-    prev() {
-        this.currentIndex = (this.currentIndex - 1 + this.images.length) % this.images.length;
-        this.img.src = this.images[this.currentIndex];
+            if (field.type === 'checkbox') {
+                values[field.name] = values[field.name] || [];
+                if (field.checked) values[field.name].push(field.value);
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+
+        return values;
     }
 
-    next() {
-        this.currentIndex = (this.currentIndex + 1) % this.images.length;
-        this.img.src = this.images[this.currentIndex];
+    hasContent(values) {
+        return Object.entries(values).some(([name, value]) => {
+            const field = this.form.elements[name];
+            const defaultValue = field && 'defaultValue' in field ? field.defaultValue : '';
+            return Array.isArray(value) ? value.length > 0 : value.trim() && value !== defaultValue;
+        });
     }
-}
 
-// Initialize lightbox
-if (elements.lightbox) {
-    new Lightbox();
-}
+    save() {
+        const values = this.getValues();
 
-// ===== TESTIMONIALS CAROUSEL =====
-class TestimonialsCarousel {
-    constructor(track) {
-        this.track = track;
-        this.cards = track.querySelectorAll('.testimonial-card');
-        this.prevBtn = document.querySelector('.testimonial-prev');
-        this.nextBtn = document.querySelector('.testimonial-next');
-        this.currentIndex = 0;
-        this.cardsToShow = this.getCardsToShow();
+        try {
+            if (this.hasContent(values)) {
+                this.storage.setItem(this.key, JSON.stringify({ savedAt: Date.now(), values }));
+            } else {
+                this.storage.removeItem(this.key);
+            }
+        } catch (error) {
+            // Autosave is a convenience - ignore full or blocked storage
+        }
+    }
 
-        this.init();
+    load(now = Date.now()) {
+        try {
+            const draft = JSON.parse(this.storage.getItem(this.key));
+            if (!draft || now - draft.savedAt > DRAFT_MAX_AGE) {
+                this.storage.removeItem(this.key);
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
     }
 
-    getCardsToShow() {
-        if (window.innerWidth < 768) return 1;
-        if (window.innerWidth < 992) return 2;
-        return 3;
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.hidePrompt();
+
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            // Nothing to clear
+        }
     }
 
-    init() {
-        this.prevBtn?.addEventListener('click', () => this.prev());
-        this.nextBtn?.addEventListener('click', () => this.next());
+    // Fills fields in document order so dependent options (e.g. time slots) exist when needed
+    restore(values) {
+        Array.from(this.form.elements).forEach(field => {
+            if (!(field.name in values)) return;
 
-        // Handle resize
-        window.addEventListener('resize', () => {
-            this.cardsToShow = this.getCardsToShow();
-            this.goTo(0);
-        });
+            const value = values[field.name];
+
+            if (field.type === 'checkbox') {
+                field.checked = Array.isArray(value) && value.includes(field.value);
+            } else if (field.type !== 'radio') {
+                field.value = value;
+            }
 
-        // Touch support
-        let touchStartX = 0;
-        let touchEndX = 0;
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
 
-        this.track.addEventListener('touchstart', (e) => {
-            touchStartX = e.changedTouches[0].screenX;
-        }, { passive: true });
+    // "5 minutes ago", "2 hours ago", "3 days ago" in the visitor's language
+    formatAge(savedAt) {
+        const minutes = Math.round((Date.now() - savedAt) / 60000);
+        const format = new Intl.RelativeTimeFormat(i18n.locale, { numeric: 'always' });
 
-        this.track.addEventListener('touchend', (e) => {
-            touchEndX = e.changedTouches[0].screenX;
-            this.handleSwipe(touchStartX, touchEndX);
-        }, { passive: true });
+        if (minutes < 60) return format.format(-Math.max(minutes, 1), 'minute');
+        if (minutes < 1440) return format.format(-Math.round(minutes / 60), 'hour');
+        return format.format(-Math.round(minutes / 1440), 'day');
     }
 
-    goTo(index) {
-        const maxIndex = this.cards.length - this.cardsToShow;
-        this.currentIndex = Math.max(0, Math.min(index, maxIndex));
+    // Also re-shows an open prompt in a new language
+    showPrompt(draft) {
+        this.hidePrompt();
+        this.draft = draft;
 
-        const cardWidth = this.cards[0].offsetWidth + 30; // Include gap
-        const offset = -this.currentIndex * cardWidth;
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'draft-prompt';
+        this.prompt.setAttribute('role', 'status');
+        this.prompt.innerHTML = `
+            <p><i class="fas fa-history"></i> ${i18n.t('draft.prompt', { age: this.formatAge(draft.savedAt) })}</p>
+            <div class="draft-actions">
+                <button type="button" class="draft-restore">${i18n.t('draft.continue')}</button>
+                <button type="button" class="draft-discard">${i18n.t('draft.discard')}</button>
+            </div>
+        `;
 
-        this.track.style.transform = `translateX(${offset}px)`;
-    }
+        this.prompt.querySelector('.draft-restore').addEventListener('click', () => {
+            this.hidePrompt();
+            this.restore(draft.values);
+        });
 
-    next() {
-        this.goTo(this.currentIndex + 1);
+        this.prompt.querySelector('.draft-discard').addEventListener('click', () => this.clear());
+
+        this.form.prepend(this.prompt);
     }
 
-    prev() {
-        this.goTo(this.currentIndex - 1);
+    hidePrompt() {
+        this.prompt?.remove();
+        this.prompt = null;
     }
+}
 
-    handleSwipe(startX, endX) {
-        const threshold = 50;
-        const diff = startX - endX;
+[elements.bookingForm, elements.contactForm].forEach(form => {
+    if (form) new FormDraft(form);
+});
 
-        if (Math.abs(diff) > threshold) {
-            if (diff > 0) {
-                this.next();
-            } else {
-                this.prev();
-            }
-        }
+// ===== SUBMIT HANDLERS =====
+// Swaps the button's label for a spinner and back. The label is only hidden, never rewritten, so
+// its data-i18n text keeps following the language.
+function setSubmitting(button, submitting) {
+    button.disabled = submitting;
+    button.classList.toggle('sending', submitting);
+    button.querySelector('.btn-sending')?.remove();
+
+    if (submitting) {
+        button.insertAdjacentHTML('beforeend',
+            `<span class="btn-sending"><i class="fas fa-spinner fa-spin"></i> ${i18n.t('form.sending')}</span>`);
     }
 }
 
-// Initialize testimonials carousel
-if (elements.testimonialsTrack) {
-    new TestimonialsCarousel(elements.testimonialsTrack);
-}
+// Wires a form to the shared submission pipeline
+function bindFormSubmission(form, { successKey, beforeSubmit, buildFormData, onSuccess }) {
+    form?.addEventListener('submit', async function (e) {
+        e.preventDefault();
 
-// ===== FAQ ACCORDION =====
-const accordionItems = document.querySelectorAll('.accordion-item');
+        if (!validateForm(this)) {
+            showToast(i18n.t('toast.invalid'));
+            return;
+        }
+
+        if (beforeSubmit && !beforeSubmit(this)) {
+            analytics.track('form_submit', { form: this.id, result: 'rejected' });
+            return;
+        }
+
+        const submitBtn = this.querySelector('button[type="submit"]');
+        setSubmitting(submitBtn, true);
 
-accordionItems.forEach(item => {
-    const header = item.querySelector('.accordion-header');
+        const formData = new FormData(this);
+        buildFormData?.(formData, this);
 
-    header?.addEventListener('click', () => {
-        const isActive = item.classList.contains('active');
+        const verdict = await spamGuard.check(this, getFormFields(formData));
 
-        // Close all items
-        accordionItems.forEach(i => i.classList.remove('active'));
+        if (!verdict.ok) {
+            analytics.track('form_submit', { form: this.id, result: 'blocked', reason: verdict.reason });
 
-        // Open clicked item if it wasn't active
-        if (!isActive) {
-            item.classList.add('active');
+            // Bots get the normal success message so they have nothing to adapt to
+            showToast(i18n.t(verdict.silent ? successKey : `spam.${verdict.reason}`));
+            if (verdict.silent) this.reset();
+            setSubmitting(submitBtn, false);
+            return;
         }
-    });
-});
 
-// ===== SCROLL REVEAL ANIMATIONS =====
-const revealElements = document.querySelectorAll('.reveal-up, .reveal-left, .reveal-right');
+        // Passed the check above, so the trap is empty and only clutters the request
+        formData.delete(SPAM_HONEYPOT_FIELD);
+        if (verdict.token) formData.set('_challenge', verdict.token);
+        const fields = getFormFields(formData);
 
-const revealObserver = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-        if (entry.isIntersecting) {
-            entry.target.classList.add('revealed');
-            revealObserver.unobserve(entry.target);
+        try {
+            const result = await submitFields(this.id, fields);
+
+            spamGuard.record(this, fields);
+            analytics.track('form_submit', { form: this.id, result: result.handoff ? 'handoff' : 'sent' });
+            showToast(i18n.t(result.handoff ? 'toast.handoff' : successKey));
+            this.reset();
+            onSuccess?.(fields, { queued: false });
+        } catch (error) {
+            if (error.retryable) {
+                // Keep it so it can be sent once the connection is back
+                submissionQueue.enqueue(this.id, fields);
+                spamGuard.record(this, fields);
+                analytics.track('form_submit', { form: this.id, result: 'queued' });
+                this.reset();
+                onSuccess?.(fields, { queued: true });
+                showToast(i18n.t('toast.offline'));
+            } else {
+                analytics.track('form_submit', { form: this.id, result: 'error' });
+                showToast(i18n.t('toast.error'));
+            }
+        } finally {
+            setSubmitting(submitBtn, false);
         }
     });
-}, {
-    threshold: 0.1,
-    rootMargin: '0px 0px -50px 0px'
-});
+}
 
-revealElements.forEach(el => revealObserver.observe(el));
+// Booking form
+bindFormSubmission(elements.bookingForm, {
+    successKey: 'toast.bookingSent',
+    beforeSubmit(form) {
+        if (!bookingAvailability) return true;
 
-// ===== SMOOTH SCROLL =====
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
+        const { date, time } = form.elements;
 
-        if (target) {
-            target.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
-            });
+        if (!bookingAvailability.isBookable(date.value, time.value)) {
+            bookingAvailability.refresh();
+            showToast(i18n.t('toast.slotTaken'));
+            return false;
         }
-    });
+
+        return true;
+    },
+    buildFormData(formData) {
+        formData.set('_subject', FORM_SUBMISSION_CONFIG['booking-form'].subject);
+
+        if (servicePicker) {
+            const { services, duration } = servicePicker.getSelection();
+            formData.delete('extra_services');
+            formData.set('services', services.join(', '));
+            formData.set('duration', formatDuration(duration, DEFAULT_LANGUAGE));
+        }
+
+        quoteBuilder?.appendTo(formData);
+        formData.set('reference', createBookingReference(getFormFields(formData)));
+    },
+    onSuccess(fields, status) {
+        bookingConfirmation?.show(fields, status);
+    }
 });
 
-// ===== BACK TO TOP =====
-elements.backToTop?.addEventListener('click', () => {
-    window.scrollTo({
-        top: 0,
-        behavior: 'smooth'
-    });
+// Contact form
+bindFormSubmission(elements.contactForm, {
+    successKey: 'toast.messageSent'
 });
 
-// ===== FORM HANDLING =====
-function showToast(message = 'Message sent successfully!') {
-    elements.toast.querySelector('span').textContent = message;
-    elements.toast.classList.add('show');
+// ===== BOOKING DEEP LINKS =====
+// "#booking?service=Bridal%20Makeup&date=2026-12-10" -> { id: 'booking', params }
+function parseHashLink(hash) {
+    const [id, query = ''] = String(hash).replace(/^#/, '').split('?');
 
-    setTimeout(() => {
-        elements.toast.classList.remove('show');
-    }, 3000);
+    return {
+        id: decodeURIComponent(id),
+        params: new URLSearchParams(query)
+    };
 }
 
-// Form validation
-function validateForm(form) {
-    const inputs = form.querySelectorAll('input[required], select[required], textarea[required]');
-    let isValid = true;
+// Finds the option whose value matches, or starts with, the requested text ("Airbrush" -> "Airbrush Makeup")
+function findOptionValue(select, requested) {
+    const wanted = requested.trim().toLowerCase();
+    const options = Array.from(select?.options || []).filter(option => option.value);
 
-    inputs.forEach(input => {
-        if (!input.value.trim()) {
-            isValid = false;
-            input.style.borderColor = '#e74c3c';
-        } else {
-            input.style.borderColor = '';
-        }
+    const match = options.find(option => option.value.toLowerCase() === wanted) ||
+        options.find(option => option.value.toLowerCase().startsWith(wanted));
 
-        // Email validation
-        if (input.type === 'email' && input.value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(input.value)) {
-                isValid = false;
-                input.style.borderColor = '#e74c3c';
-            }
-        }
+    return match ? match.value : null;
+}
 
-        // Phone validation
-        if (input.type === 'tel' && input.value) {
-            const phoneRegex = /^[\d\s\-\+\(\)]{10,}$/;
-            if (!phoneRegex.test(input.value)) {
-                isValid = false;
-                input.style.borderColor = '#e74c3c';
-            }
-        }
-    });
+function setFieldValue(field, value) {
+    if (!field || value === null) return;
 
-    return isValid;
+    field.value = value;
+    field.dispatchEvent(new Event('change', { bubbles: true }));
 }
 
-// Booking form
-elements.bookingForm?.addEventListener('submit', async function (e) {
-    e.preventDefault();
+// Preselects service, finish, date and time in the booking form from link parameters
+function applyBookingLink(params) {
+    const form = elements.bookingForm;
+    if (!form || ![...params.keys()].length) return;
 
-    if (!validateForm(this)) {
-        showToast('Please fill in all required fields correctly.');
-        return;
-    }
+    if (bookingConfirmation && !bookingConfirmation.panel.hidden) bookingConfirmation.hide();
 
-    const submitBtn = this.querySelector('button[type="submit"]');
-    const originalText = submitBtn.innerHTML;
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-    submitBtn.disabled = true;
+    const { service, finish, date, time } = form.elements;
 
-    try {
-        const formData = new FormData(this);
-        const response = await fetch(this.action, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json'
-            }
+    // Order matters: the time slots depend on the services and the date
+    if (params.has('service')) setFieldValue(service, findOptionValue(service, params.get('service')));
+    if (params.has('finish')) setFieldValue(finish, findOptionValue(finish, params.get('finish')));
+
+    const requestedDate = params.get('date');
+    if (requestedDate && /^\d{4}-\d{2}-\d{2}$/.test(requestedDate)) setFieldValue(date, requestedDate);
+
+    if (params.has('time')) setFieldValue(time, findOptionValue(time, params.get('time')));
+}
+
+// Scrolls to the section in a hash link and applies any booking parameters, or opens
+// the look in a "#gallery?look=bridal-look" link or the question in "#faq-when-to-book"
+function followHashLink(hash, behavior = motionPreferences.getScrollBehavior()) {
+    const { id, params } = parseHashLink(hash);
+    const target = id ? document.getElementById(id) : null;
+
+    if (id === 'booking') applyBookingLink(params);
+    if (id === 'gallery' && params.has('look')) galleryLightbox?.openById(params.get('look'));
+    if (id.startsWith('faq-')) faqAccordion?.open(id.slice(4));
+
+    if (target) {
+        target.scrollIntoView({
+            behavior,
+            block: 'start'
         });
+    }
 
-        if (response.ok) {
-            showToast('Appointment request sent successfully!');
-            this.reset();
-        } else {
-            throw new Error('Server error');
-        }
-    } catch (error) {
-        showToast('Something went wrong. Please try again.');
-    } finally {
-        submitBtn.innerHTML = originalText;
-        submitBtn.disabled = false;
+    return Boolean(target);
+}
+
+// Shared links open with the form already filled in
+if (location.hash.includes('?')) {
+    followHashLink(location.hash, 'auto');
+}
+
+window.addEventListener('hashchange', () => {
+    if (location.hash.includes('?')) followHashLink(location.hash);
+});
+
+// ===== STRUCTURED DATA =====
+// The graph is built and checked by structured-data.js, from the page and the studio details
+
+// Replaces the page's JSON-LD block, so it can be rebuilt after the content changes
+function injectStructuredData(data) {
+    let script = document.getElementById('structured-data');
+
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'structured-data';
+        document.head.appendChild(script);
     }
+
+    script.textContent = JSON.stringify(data);
+}
+
+async function updateStructuredData() {
+    // The FAQ may still be swapping its built-in questions for the JSON ones
+    await faqAccordion?.ready;
+
+    const data = buildStructuredData({
+        root: document,
+        baseUrl: location.href.split('#')[0],
+        studio: STUDIO,
+        getPrice: name => getService(name)?.price,
+        faqItems: faqAccordion?.getItems() || []
+    });
+    const errors = validateStructuredData(data);
+
+    if (errors.length) console.warn('Structured data is missing required fields', errors);
+
+    injectStructuredData(data);
+}
+
+updateStructuredData();
+i18n.onChange(() => updateStructuredData());
+
+// ===== FUNNEL TRACKING =====
+// "Book Now" links, with the service they preselect and the section they were in
+document.querySelectorAll('a[href^="#booking"]').forEach(link => {
+    link.addEventListener('click', () => {
+        analytics.track('book_click', {
+            service: parseHashLink(link.hash).params.get('service'),
+            from: link.closest('section, header, footer')?.id || null
+        });
+    });
 });
 
-// Contact form
-elements.contactForm?.addEventListener('submit', async function (e) {
-    e.preventDefault();
+// Notes when someone starts filling in a form, and whether they leave without sending it
+class FormTracker {
+    constructor(form) {
+        this.form = form;
+        this.started = false;
+        this.lastField = '';
 
-    if (!validateForm(this)) {
-        showToast('Please fill in all required fields correctly.');
-        return;
+        this.init();
     }
 
-    const submitBtn = this.querySelector('button[type="submit"]');
-    const originalText = submitBtn.innerHTML;
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-    submitBtn.disabled = true;
+    init() {
+        const onEdit = (e) => {
+            // Only the visitor's own edits, not drafts being restored or deep links filling in fields
+            if (!e.isTrusted || !e.target.name) return;
 
-    try {
-        const formData = new FormData(this);
-        const response = await fetch(this.action, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json'
-            }
+            this.lastField = e.target.name;
+            if (this.started) return;
+
+            this.started = true;
+            analytics.track('form_start', { form: this.form.id, field: this.lastField });
+        };
+
+        this.form.addEventListener('input', onEdit);
+        this.form.addEventListener('change', onEdit);
+
+        // Forms are reset once sent or queued, so a reset form wasn't abandoned
+        this.form.addEventListener('reset', () => {
+            this.started = false;
         });
 
-        if (response.ok) {
-            showToast('Message sent successfully!');
-            this.reset();
-        } else {
-            throw new Error('Server error');
-        }
-    } catch (error) {
-        showToast('Something went wrong. Please try again.');
-    } finally {
-        submitBtn.innerHTML = originalText;
-        submitBtn.disabled = false;
+        window.addEventListener('pagehide', () => {
+            if (!this.started) return;
+
+            analytics.track('form_abandon', { form: this.form.id, lastField: this.lastField });
+            this.started = false;
+        });
     }
+}
+
+[elements.bookingForm, elements.contactForm].forEach(form => {
+    if (form) new FormTracker(form);
 });
 
-// Set minimum date for booking
-const dateInput = document.getElementById('booking-date');
-if (dateInput) {
-    const today = new Date().toISOString().split('T')[0];
-    dateInput.setAttribute('min', today);
-}
+// Scrolling all the way through the hero animation
+document.addEventListener('hero:complete', () => analytics.track('hero_complete'), { once: true });
 
 // ===== LAZY LOADING IMAGES =====
 const lazyImages = document.querySelectorAll('img[data-src]');
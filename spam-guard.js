@@ -0,0 +1,138 @@
+/**
+ * Tania's Makeup Studio - Spam Guard
+ * Checks a form submission before it goes out: a honeypot field, time to fill in, duplicates,
+ * a rate limit and an optional challenge. Storage and the clock are passed in, so the page can
+ * use localStorage and the tests an in-memory stand-in.
+ * Loaded by the page before script.js, and by the tests under Node.
+ */
+
+// FNV-1a - a short, stable fingerprint for a submission
+function hashString(value) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Hidden trap field, checked here before sending. It keeps Formspree's name, but is removed from
+// what we send: a filled-in one never gets that far, and an empty one means nothing to Formspree.
+const SPAM_HONEYPOT_FIELD = '_gotcha';
+const SPAM_HISTORY_KEY = 'tms-submission-history';
+
+const SPAM_RULES = {
+    // Faster than this is not a person typing
+    minFillTime: 3000,
+    // At most this many submissions per form within the window
+    rateLimit: 3,
+    rateWindow: 10 * 60 * 1000,
+    // The same content again within this period counts as a duplicate
+    duplicateWindow: 24 * 60 * 60 * 1000
+};
+
+// Fingerprint of what the visitor wrote, ignoring case, spacing and internal fields
+function fingerprintFields(fields) {
+    const content = fields
+        .filter(([name]) => !name.startsWith('_'))
+        .map(([name, value]) => `${name}=${value.trim().replace(/\s+/g, ' ').toLowerCase()}`)
+        .join('&');
+
+    return hashString(content);
+}
+
+class SpamGuard {
+    constructor({ storage, now = () => Date.now(), rules = SPAM_RULES }) {
+        this.storage = storage;
+        this.now = now;
+        this.rules = rules;
+        this.startedAt = new WeakMap();
+        this.challengeProvider = null;
+    }
+
+    // Remember when the form became available, to measure time-to-submit
+    watch(form) {
+        this.startedAt.set(form, this.now());
+    }
+
+    // A provider exposes verify(form) and resolves to a token, or throws when the check fails
+    setChallengeProvider(provider) {
+        this.challengeProvider = provider;
+    }
+
+    getHistory() {
+        try {
+            return JSON.parse(this.storage.getItem(SPAM_HISTORY_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveHistory(history) {
+        try {
+            this.storage.setItem(SPAM_HISTORY_KEY, JSON.stringify(history));
+        } catch (error) {
+            // Without storage the rate and duplicate checks simply don't apply
+        }
+    }
+
+    // Resolves to { ok, reason, silent, token } - silent rejections should look like a success
+    async check(form, fields) {
+        const honeypot = fields.find(([name]) => name === SPAM_HONEYPOT_FIELD);
+        if (honeypot && honeypot[1]) return { ok: false, reason: 'honeypot', silent: true };
+
+        const now = this.now();
+        const startedAt = this.startedAt.get(form);
+        if (startedAt && now - startedAt < this.rules.minFillTime) {
+            return { ok: false, reason: 'too-fast' };
+        }
+
+        const history = this.getHistory().filter(entry =>
+            now - entry.time < Math.max(this.rules.rateWindow, this.rules.duplicateWindow)
+        );
+        const fingerprint = fingerprintFields(fields);
+
+        const isDuplicate = history.some(entry =>
+            entry.fingerprint === fingerprint && now - entry.time < this.rules.duplicateWindow
+        );
+        if (isDuplicate) return { ok: false, reason: 'duplicate' };
+
+        const recent = history.filter(entry => entry.form === form.id && now - entry.time < this.rules.rateWindow);
+        if (recent.length >= this.rules.rateLimit) return { ok: false, reason: 'rate-limited' };
+
+        if (this.challengeProvider) {
+            try {
+                const token = await this.challengeProvider.verify(form);
+                return { ok: true, token };
+            } catch (error) {
+                return { ok: false, reason: 'challenge' };
+            }
+        }
+
+        return { ok: true };
+    }
+
+    // Called once a submission has gone out (or been queued)
+    record(form, fields) {
+        const now = this.now();
+        const history = this.getHistory().filter(entry =>
+            now - entry.time < Math.max(this.rules.rateWindow, this.rules.duplicateWindow)
+        );
+
+        history.push({ form: form.id, fingerprint: fingerprintFields(fields), time: now });
+        this.saveHistory(history);
+    }
+}
+
+// Under Node (the tests) there is no page to share globals with, so export instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPAM_HONEYPOT_FIELD,
+        SPAM_RULES,
+        hashString,
+        fingerprintFields,
+        SpamGuard
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Tania's Makeup Studio - Structured Data
+ * Builds the page's schema.org JSON-LD graph and lists required properties that are missing.
+ * Loaded by the page before script.js, and by the tests under Node.
+ */
+
+const STRUCTURED_DATA_TYPE = 'BeautySalon';
+
+const SCHEMA_WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Properties each schema.org type needs before search engines will use it
+const STRUCTURED_DATA_REQUIRED = {
+    BeautySalon: ['name', 'address', 'telephone', 'openingHoursSpecification'],
+    PostalAddress: ['streetAddress', 'addressLocality', 'addressCountry'],
+    OpeningHoursSpecification: ['dayOfWeek', 'opens', 'closes'],
+    Service: ['name', 'provider'],
+    Review: ['author', 'reviewRating', 'reviewBody'],
+    Person: ['name'],
+    Rating: ['ratingValue'],
+    AggregateRating: ['ratingValue', 'reviewCount'],
+    FAQPage: ['mainEntity'],
+    Question: ['name', 'acceptedAnswer'],
+    Answer: ['text']
+};
+
+function cleanText(value) {
+    return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+// "11:00 AM" -> "11:00", "8:00 PM" -> "20:00"
+function toSchemaTime(label) {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(String(label).trim());
+    if (!match) return '';
+
+    const hours = Number(match[1]) % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+// Regular hours on every day the studio opens. SCHEMA_WEEKDAYS starts on Monday, Date#getDay on Sunday.
+function buildOpeningHours(studio) {
+    return {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: SCHEMA_WEEKDAYS.filter((day, index) => !studio.closedWeekdays.includes((index + 1) % 7)),
+        opens: toSchemaTime(studio.hours.open),
+        closes: toSchemaTime(studio.hours.close)
+    };
+}
+
+// The address lines end with the town: "..., Bidhan Road, Siliguri"
+function buildAddress(studio) {
+    const parts = studio.address.join(', ').split(/\s*,\s*/);
+
+    return {
+        '@type': 'PostalAddress',
+        streetAddress: parts.slice(0, -1).join(', '),
+        addressLocality: parts[parts.length - 1],
+        addressRegion: studio.region,
+        addressCountry: studio.country
+    };
+}
+
+// The studio itself, from the studio details and the page's description and social links
+function buildBusinessData(root, baseUrl, studio) {
+    return {
+        '@type': STRUCTURED_DATA_TYPE,
+        '@id': `${baseUrl}#studio`,
+        name: studio.name,
+        url: baseUrl,
+        description: root.querySelector('meta[name="description"]')?.content || '',
+        image: root.querySelector('.schedule-card img')?.src || undefined,
+        telephone: studio.phone,
+        email: studio.email,
+        address: buildAddress(studio),
+        geo: { '@type': 'GeoCoordinates', ...studio.geo },
+        openingHoursSpecification: [buildOpeningHours(studio)],
+        // Profiles only; the WhatsApp link is a chat, not a page about the studio
+        sameAs: Array.from(root.querySelectorAll('.contact-social .social-link'))
+            .map(link => link.href)
+            .filter(href => !href.includes('wa.me'))
+    };
+}
+
+// One Service per card, priced when getPrice knows the service
+function buildServiceData(root, baseUrl, studio, getPrice) {
+    return Array.from(root.querySelectorAll('#services .service-card')).map(card => {
+        const name = cleanText(card.querySelector('.service-title')?.textContent);
+        const price = getPrice(name);
+
+        return {
+            '@type': 'Service',
+            name,
+            description: cleanText(card.querySelector('.service-description')?.textContent),
+            image: card.querySelector('.service-image img')?.src || undefined,
+            serviceType: name,
+            provider: { '@id': `${baseUrl}#studio` },
+            areaServed: studio.region,
+            offers: price ? {
+                '@type': 'Offer',
+                priceSpecification: {
+                    '@type': 'PriceSpecification',
+                    priceCurrency: 'INR',
+                    minPrice: price.min,
+                    maxPrice: price.max
+                }
+            } : undefined
+        };
+    });
+}
+
+// Testimonials, with stars counted from the rating icons
+function buildReviewData(root) {
+    return Array.from(root.querySelectorAll('.testimonial-card')).map(card => ({
+        '@type': 'Review',
+        author: {
+            '@type': 'Person',
+            name: cleanText(card.querySelector('.testimonial-name')?.textContent)
+        },
+        reviewRating: {
+            '@type': 'Rating',
+            ratingValue: card.querySelectorAll('.testimonial-rating .fa-star').length,
+            bestRating: 5
+        },
+        reviewBody: cleanText(card.querySelector('.testimonial-text')?.textContent).replace(/^["“]|["”]$/g, ''),
+        publisher: card.querySelector('.fa-google') ? { '@type': 'Organization', name: 'Google' } : undefined
+    }));
+}
+
+function buildAggregateRating(reviews) {
+    if (!reviews.length) return undefined;
+
+    const total = reviews.reduce((sum, review) => sum + review.reviewRating.ratingValue, 0);
+
+    return {
+        '@type': 'AggregateRating',
+        ratingValue: Math.round(total / reviews.length * 10) / 10,
+        reviewCount: reviews.length,
+        bestRating: 5
+    };
+}
+
+// items are the FAQ's { question, answer } entries
+function buildFaqData(items, baseUrl) {
+    return {
+        '@type': 'FAQPage',
+        '@id': `${baseUrl}#faq`,
+        mainEntity: items.map(item => ({
+            '@type': 'Question',
+            name: item.question,
+            acceptedAnswer: {
+                '@type': 'Answer',
+                text: item.answer
+            }
+        }))
+    };
+}
+
+// The whole graph. root is the document the page content is read from, studio the studio details
+// and getPrice(name) a service's { min, max } price, if known.
+function buildStructuredData({ root, baseUrl, studio, getPrice = () => null, faqItems = [] }) {
+    const business = buildBusinessData(root, baseUrl, studio);
+    const reviews = buildReviewData(root);
+
+    business.review = reviews;
+    business.aggregateRating = buildAggregateRating(reviews);
+
+    const graph = [business, ...buildServiceData(root, baseUrl, studio, getPrice)];
+    if (faqItems.length) graph.push(buildFaqData(faqItems, baseUrl));
+
+    // Round-tripping drops the optional properties left undefined
+    return JSON.parse(JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': graph
+    }));
+}
+
+// Lists each missing required property by its path, e.g. "Service[2].provider"
+function validateStructuredData(data) {
+    const errors = [];
+
+    const isMissing = value => value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && !value.length);
+
+    const check = (node, path) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, index) => check(child, `${path}[${index}]`));
+            return;
+        }
+
+        if (!node || typeof node !== 'object') return;
+
+        (STRUCTURED_DATA_REQUIRED[node['@type']] || []).forEach(property => {
+            if (isMissing(node[property])) errors.push(`${path}.${property}`);
+        });
+
+        Object.entries(node).forEach(([key, value]) => {
+            if (key !== '@context') check(value, `${path}.${key}`);
+        });
+    };
+
+    (data['@graph'] || [data]).forEach((node, index) => check(node, `${node['@type'] || 'Thing'}[${index}]`));
+
+    return errors;
+}
+
+// Under Node (the tests) there is no page to share globals with, so export instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STRUCTURED_DATA_REQUIRED,
+        toSchemaTime,
+        buildFaqData,
+        buildStructuredData,
+        validateStructuredData
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * Form submission adapters and fallback order, against a mock endpoint on localhost
+ */
+
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const {
+    SubmissionError,
+    submissionAdapters,
+    sendWithAdapter,
+    submitFields
+} = require('../form-submission.js');
+
+const FIELDS = [
+    ['name', 'Riya Sharma'],
+    ['phone', '+91 98765 43210'],
+    ['extra_services', 'Hair Styling'],
+    ['message', ''],
+    ['_subject', 'internal']
+];
+
+// Answers every request with the next queued status (200 once the queue is empty) and keeps a copy
+let server;
+let baseUrl;
+let received = [];
+let statuses = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString()
+            });
+            res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// The interactive adapters open a popup or navigate; record which instead
+let opened;
+
+beforeEach(() => {
+    // Failed adapters are logged on purpose; keep the test output readable
+    mock.method(console, 'warn', () => {});
+    received = [];
+    statuses = [];
+    opened = [];
+    globalThis.window = {
+        location: { href: 'https://example.com/' },
+        open(url) {
+            const popup = { url, opener: globalThis.window };
+            opened.push(popup);
+            return popup;
+        }
+    };
+});
+
+function config(adapters) {
+    return { 'booking-form': { subject: 'New Appointment Request', adapters } };
+}
+
+test('formspree posts every field as multipart form data', async () => {
+    const request = submissionAdapters.formspree.buildRequest(FIELDS, { endpoint: `${baseUrl}/f/abc` });
+
+    assert.equal(request.url, `${baseUrl}/f/abc`);
+    assert.equal(request.init.method, 'POST');
+    assert.equal(request.init.headers.Accept, 'application/json');
+    assert.deepEqual(Array.from(request.init.body.entries()), FIELDS);
+
+    await sendWithAdapter(submissionAdapters.formspree, request);
+
+    const [hit] = received;
+    assert.equal(hit.url, '/f/abc');
+    assert.match(hit.headers['content-type'], /^multipart\/form-data/);
+    assert.match(hit.body, /name="name"\r\n\r\nRiya Sharma/);
+    assert.match(hit.body, /name="extra_services"\r\n\r\nHair Styling/);
+});
+
+test('webhook posts a JSON summary with the form, subject and fields', async () => {
+    const request = submissionAdapters.webhook.buildRequest(FIELDS, {
+        endpoint: `${baseUrl}/hook`,
+        formId: 'booking-form',
+        subject: 'New Appointment Request',
+        headers: { 'X-Studio-Key': 'secret' }
+    });
+
+    await sendWithAdapter(submissionAdapters.webhook, request);
+
+    const [hit] = received;
+    const body = JSON.parse(hit.body);
+    assert.equal(hit.method, 'POST');
+    assert.equal(hit.headers['content-type'], 'application/json');
+    assert.equal(hit.headers['x-studio-key'], 'secret');
+    assert.deepEqual(Object.keys(body), ['form', 'subject', 'submittedAt', 'fields']);
+    assert.equal(body.form, 'booking-form');
+    assert.equal(body.subject, 'New Appointment Request');
+    assert.ok(!Number.isNaN(Date.parse(body.submittedAt)));
+    assert.deepEqual(body.fields, Object.fromEntries(FIELDS));
+});
+
+test('whatsapp builds a wa.me link with the subject and the filled-in, public fields', () => {
+    const request = submissionAdapters.whatsapp.buildRequest(FIELDS, {
+        phone: '917602014901',
+        subject: 'New Appointment Request'
+    });
+    const url = new URL(request.url);
+
+    assert.equal(url.origin + url.pathname, 'https://wa.me/917602014901');
+    assert.equal(
+        url.searchParams.get('text'),
+        'New Appointment Request\n\nName: Riya Sharma\nPhone: +91 98765 43210\nExtra services: Hair Styling'
+    );
+});
+
+test('mailto builds an email with the subject and a readable body', () => {
+    const request = submissionAdapters.mailto.buildRequest(FIELDS, {
+        email: 'studio@example.com',
+        subject: 'New Appointment Request'
+    });
+    const [address, query] = request.url.split('?');
+    const params = new URLSearchParams(query);
+
+    assert.equal(address, 'mailto:studio@example.com');
+    assert.equal(params.get('subject'), 'New Appointment Request');
+    assert.equal(params.get('body'), 'Name: Riya Sharma\nPhone: +91 98765 43210\nExtra services: Hair Styling');
+});
+
+test('a server error is retryable, a rejection is not', async () => {
+    statuses = [503, 422];
+    const request = () => submissionAdapters.formspree.buildRequest(FIELDS, { endpoint: `${baseUrl}/f/abc` });
+
+    await assert.rejects(sendWithAdapter(submissionAdapters.formspree, request()), { retryable: true, status: 503 });
+    await assert.rejects(sendWithAdapter(submissionAdapters.formspree, request()), { retryable: false, status: 422 });
+});
+
+test('adapters are tried in order until one succeeds', async () => {
+    statuses = [500];
+
+    const result = await submitFields('booking-form', FIELDS, {
+        configs: config([
+            { type: 'formspree', endpoint: `${baseUrl}/f/abc` },
+            { type: 'webhook', endpoint: `${baseUrl}/hook` },
+            { type: 'whatsapp', phone: '917602014901' }
+        ])
+    });
+
+    assert.deepEqual(result, { ok: true, handoff: false, adapter: 'webhook' });
+    assert.deepEqual(received.map(hit => hit.url), ['/f/abc', '/hook']);
+    assert.equal(opened.length, 0);
+});
+
+test('a retryable failure is left for the queue rather than handed to WhatsApp or email', async () => {
+    statuses = [500];
+
+    await assert.rejects(submitFields('booking-form', FIELDS, {
+        configs: config([
+            { type: 'formspree', endpoint: `${baseUrl}/f/abc` },
+            { type: 'whatsapp', phone: '917602014901' },
+            { type: 'mailto', email: 'studio@example.com' }
+        ])
+    }), { retryable: true, status: 500 });
+
+    assert.equal(opened.length, 0);
+    assert.equal(window.location.href, 'https://example.com/');
+});
+
+test('a rejected request falls back to WhatsApp in a new tab and keeps the page', async () => {
+    statuses = [422];
+
+    const result = await submitFields('booking-form', FIELDS, {
+        configs: config([
+            { type: 'formspree', endpoint: `${baseUrl}/f/abc` },
+            { type: 'whatsapp', phone: '917602014901' },
+            { type: 'mailto', email: 'studio@example.com' }
+        ])
+    });
+
+    assert.deepEqual(result, { ok: true, handoff: true, adapter: 'whatsapp' });
+    assert.equal(opened.length, 1);
+    assert.match(opened[0].url, /^https:\/\/wa\.me\/917602014901\?text=/);
+    assert.equal(opened[0].opener, null);
+    assert.equal(window.location.href, 'https://example.com/');
+});
+
+test('a blocked popup navigates to the handoff instead', async () => {
+    window.open = () => null;
+
+    await submitFields('booking-form', FIELDS, {
+        configs: config([{ type: 'whatsapp', phone: '917602014901' }])
+    });
+
+    assert.match(window.location.href, /^https:\/\/wa\.me\/917602014901\?text=/);
+});
+
+test('queued resends skip the interactive adapters', async () => {
+    statuses = [422];
+
+    await assert.rejects(submitFields('booking-form', FIELDS, {
+        interactive: false,
+        configs: config([
+            { type: 'formspree', endpoint: `${baseUrl}/f/abc` },
+            { type: 'whatsapp', phone: '917602014901' }
+        ])
+    }), { retryable: false, status: 422 });
+
+    assert.equal(opened.length, 0);
+});
+
+test('a form without adapters reports it', async () => {
+    await assert.rejects(
+        submitFields('newsletter-form', FIELDS, { configs: config([]) }),
+        error => error instanceof SubmissionError && /newsletter-form/.test(error.message)
+    );
+});
@@ -0,0 +1,113 @@
+/**
+ * Spam checks, with an in-memory storage and a clock the tests move by hand
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SPAM_HONEYPOT_FIELD, SPAM_RULES, SpamGuard } = require('../spam-guard.js');
+
+function createStorage() {
+    const items = new Map();
+
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const form = { id: 'contact-form' };
+
+const fields = (message = 'I would like a bridal trial') => [
+    ['name', 'Riya Sharma'],
+    ['email', 'riya@example.com'],
+    ['message', message],
+    [SPAM_HONEYPOT_FIELD, '']
+];
+
+let time;
+let guard;
+
+beforeEach(() => {
+    time = 1_800_000_000_000;
+    guard = new SpamGuard({ storage: createStorage(), now: () => time });
+    guard.watch(form);
+    time += SPAM_RULES.minFillTime;
+});
+
+test('a normal submission passes', async () => {
+    assert.deepEqual(await guard.check(form, fields()), { ok: true });
+});
+
+test('a filled-in honeypot is rejected silently', async () => {
+    const trapped = fields().map(([name, value]) =>
+        [name, name === SPAM_HONEYPOT_FIELD ? 'http://spam.example' : value]);
+
+    assert.deepEqual(await guard.check(form, trapped), { ok: false, reason: 'honeypot', silent: true });
+});
+
+test('a submission faster than a person could type is rejected', async () => {
+    guard.watch(form);
+    time += SPAM_RULES.minFillTime - 1;
+
+    assert.deepEqual(await guard.check(form, fields()), { ok: false, reason: 'too-fast' });
+});
+
+test('the same content again inside the duplicate window is rejected', async () => {
+    guard.record(form, fields());
+    time += 60 * 60 * 1000;
+
+    // Case and spacing don't make it new
+    const verdict = await guard.check(form, fields('I would like  a BRIDAL trial '));
+    assert.deepEqual(verdict, { ok: false, reason: 'duplicate' });
+
+    time += SPAM_RULES.duplicateWindow;
+    assert.deepEqual(await guard.check(form, fields()), { ok: true });
+});
+
+test('more than the rate limit within the window is rejected', async () => {
+    for (let i = 0; i < SPAM_RULES.rateLimit; i++) {
+        guard.record(form, fields(`Message ${i}`));
+        time += 1000;
+    }
+
+    assert.deepEqual(await guard.check(form, fields('Another one')), { ok: false, reason: 'rate-limited' });
+
+    // Other forms have their own allowance
+    assert.deepEqual(await guard.check({ id: 'booking-form' }, fields('Another one')), { ok: true });
+
+    time += SPAM_RULES.rateWindow;
+    assert.deepEqual(await guard.check(form, fields('Another one')), { ok: true });
+});
+
+test('a challenge provider token is passed along', async () => {
+    guard.setChallengeProvider({ verify: async () => 'token-123' });
+
+    assert.deepEqual(await guard.check(form, fields()), { ok: true, token: 'token-123' });
+});
+
+test('a challenge provider that throws rejects the submission', async () => {
+    guard.setChallengeProvider({
+        verify: async () => {
+            throw new Error('Challenge failed');
+        }
+    });
+
+    assert.deepEqual(await guard.check(form, fields()), { ok: false, reason: 'challenge' });
+});
+
+test('without working storage the history checks are skipped', async () => {
+    const broken = {
+        getItem: () => {
+            throw new Error('Blocked');
+        },
+        setItem: () => {
+            throw new Error('Blocked');
+        }
+    };
+    guard = new SpamGuard({ storage: broken, now: () => time });
+
+    guard.record(form, fields());
+    assert.deepEqual(await guard.check(form, fields()), { ok: true });
+});
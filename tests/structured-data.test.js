@@ -0,0 +1,99 @@
+/**
+ * Structured data validation, against graphs built from a stand-in page
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    toSchemaTime,
+    buildFaqData,
+    buildStructuredData,
+    validateStructuredData
+} = require('../structured-data.js');
+
+const BASE_URL = 'https://example.com/';
+
+const STUDIO = {
+    name: 'Tania\'s Makeup Studio',
+    phone: '+917602014901',
+    email: 'studio@example.com',
+    address: ['1st Floor, Bidhan Road', 'Siliguri'],
+    region: 'West Bengal',
+    country: 'IN',
+    geo: { latitude: 26.71, longitude: 88.42 },
+    hours: { open: '11:00 AM', close: '8:00 PM' },
+    closedWeekdays: []
+};
+
+// Just enough of a document: one service card and nothing else
+function createRoot({ serviceTitle = 'Bridal Makeup' } = {}) {
+    const card = {
+        querySelector: selector => selector === '.service-title' ? { textContent: serviceTitle } : null,
+        querySelectorAll: () => []
+    };
+
+    return {
+        querySelector: () => null,
+        querySelectorAll: selector => selector === '#services .service-card' ? [card] : []
+    };
+}
+
+function build(overrides = {}) {
+    return buildStructuredData({
+        root: createRoot(),
+        baseUrl: BASE_URL,
+        studio: STUDIO,
+        getPrice: () => ({ min: 15000, max: 35000 }),
+        faqItems: [{ question: 'Do you travel?', answer: 'Yes, across North Bengal.' }],
+        ...overrides
+    });
+}
+
+test('a complete graph has no errors', () => {
+    const data = build();
+
+    assert.deepEqual(data['@graph'].map(node => node['@type']), ['BeautySalon', 'Service', 'FAQPage']);
+    assert.deepEqual(validateStructuredData(data), []);
+});
+
+test('opening hours are written as 24-hour times', () => {
+    assert.equal(toSchemaTime('11:00 AM'), '11:00');
+    assert.equal(toSchemaTime('8:30 PM'), '20:30');
+    assert.equal(toSchemaTime('12:00 AM'), '00:00');
+    assert.equal(toSchemaTime('noon'), '');
+});
+
+test('a missing business name is reported', () => {
+    const data = build({ studio: { ...STUDIO, name: '' } });
+
+    assert.deepEqual(validateStructuredData(data), ['BeautySalon[0].name']);
+});
+
+test('a service offered without a provider is reported', () => {
+    const data = build();
+    delete data['@graph'][1].provider;
+
+    assert.deepEqual(validateStructuredData(data), ['Service[1].provider']);
+});
+
+test('empty FAQ questions and answers are reported', () => {
+    const data = {
+        '@context': 'https://schema.org',
+        '@graph': [buildFaqData([
+            { question: '', answer: 'Yes.' },
+            { question: 'Do you do trials?', answer: '' }
+        ], BASE_URL)]
+    };
+
+    assert.deepEqual(validateStructuredData(data), [
+        'FAQPage[0].mainEntity[0].name',
+        'FAQPage[0].mainEntity[1].acceptedAnswer.text'
+    ]);
+});
+
+test('an FAQ with no questions is reported', () => {
+    const data = buildFaqData([], BASE_URL);
+
+    assert.deepEqual(validateStructuredData(data), ['FAQPage[0].mainEntity']);
+});